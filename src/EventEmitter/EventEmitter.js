@@ -1,8 +1,50 @@
+import { validateEventArgs, validateEventSchema } from "./EventSchema.js";
+
 /**
  * @typedef ListenerActions
  * @property {Function} remove - Call this function to remove the registered callback
  * @property {String} eventName - Name of the event where the callback was registered
  * @property {Number} executionId - ID of the registered callback. Used to request removal
+ * @property {() => ListenerQueueState} getQueueState - Returns the current runs and pending calls of the callback
+ * @property {() => ListenerStats} getStats - Returns the usage statistics of the callback
+ */
+
+/**
+ * Usage statistics of a callback
+ * @typedef ListenerStats
+ * @property {Number} calls - Number of times the callback was run
+ * @property {Number} errors - Number of runs that threw an exception
+ * @property {Number} skipped - Number of calls that were not executed (dropped, replaced, debounced or throttled)
+ * @property {Date} lastCallDate - Date of the last run, undefined if never run
+ * @property {Number} averageDurationMs - Average milliseconds of the finished runs
+ */
+
+/**
+ * Description of a registered callback
+ * @typedef ListenerInfo
+ * @property {String} eventName - Name of the event (or pattern) where the callback was registered
+ * @property {Number} executionId - ID of the callback
+ * @property {Number} priority - Priority of the callback
+ * @property {Boolean} isPendingExpiration - If the callback will be removed when the expiration time passes without being called
+ * @property {Date} expirationDate - Date the callback expires, undefined if it is not pending expiration
+ * @property {ListenerQueueState} queue - Current runs and pending calls
+ * @property {ListenerStats} stats - Usage statistics
+ */
+
+/**
+ * Warning reported when an event has more callbacks than the maximum
+ * @typedef {Error & { emitterName: String, eventName: String, count: Number }} MaxListenersWarning
+ */
+
+/**
+ * Current runs and pending calls of a callback
+ * @typedef ListenerQueueState
+ * @property {'parallel'|'drop'|'queue'|'latest'} concurrency - Policy applied when the callback is called while running at its limit
+ * @property {Number} maxConcurrent - Maximum number of simultaneous runs
+ * @property {Number} running - Number of runs in progress
+ * @property {Number} pending - Number of calls waiting for a run to finish
+ * @property {Boolean} isDebouncing - If a call is waiting for the debounce time to pass
+ * @property {Number} totalSkipped - Number of calls that were not executed (dropped, replaced, debounced or throttled)
  */
 
 /**
@@ -10,7 +52,31 @@
  * @typedef ExecutionParameters
  * @property {Boolean} removeAfterExecute - If true, the execution will be removed after being executed
  * @property {EventExpiration} expireAfterMs - If the callback is not called after the defined milliseconds, the callback is automatically removed
- * @property {Boolean} onlyOneInstance - If true, the callback will only be executed if it is not currently being executed
+ * @property {Boolean} onlyOneInstance - If true, the callback will only be executed if it is not currently being executed. Same as concurrency 'drop'
+ * @property {'drop'|'queue'|'latest'|Number} concurrency - What to do when the callback is called while it is running:
+ * 'drop' skips the call, 'queue' runs the calls one after the other, 'latest' runs only the last pending call when the current run finishes,
+ * and a number N allows up to N simultaneous runs, queueing the rest. By default there is no limit
+ * @property {Number} debounceMs - The callback is only called after no calls happened for the defined milliseconds, with the arguments of the last call
+ * @property {Number} throttleMs - The callback is called at most once every defined milliseconds, the calls in between are skipped
+ * @property {Number} priority - Callbacks with a higher priority are executed first (default 0). Callbacks with the same priority keep the order they were registered
+ * @property {HistoryFilter} replay - Emissions of the history to deliver to the callback as soon as it is registered
+ * @property {Boolean} receiveContext - If true, the EventContext of the emission is passed to the callback as the last argument (default false)
+ */
+
+/**
+ * Selection of the emissions of the history
+ * @typedef HistoryFilter
+ * @property {Number} last - Only the last N emissions
+ * @property {Date|Number} since - Only the emissions made at or after the date (or timestamp in milliseconds)
+ */
+
+/**
+ * An emission kept in the history or as the last payload of a sticky event
+ * @typedef EventRecord
+ * @property {String} eventName - Name of the emitted event
+ * @property {any[]} args - Emitted arguments
+ * @property {Date} date - Date of the emission
+ * @property {Number} sequence - Incremental number of the emission, used to order the records of different events
  */
 
 /**
@@ -20,6 +86,82 @@
  * @property {Function} callback - Callback to invoke when the function is canceled due to expiration
  */
 
+/**
+ * Result of the execution of a callback
+ * @typedef ExecutionResult
+ * @property {Number} executionId - ID of the executed callback
+ * @property {String} eventName - Name of the event where the callback was registered (the pattern, for wildcard listeners)
+ * @property {'fulfilled'|'rejected'|'skipped'} status - 'skipped' when the callback was not executed because of its concurrency, debounce or throttle settings, or because it was removed before running
+ * @property {*} value - Value returned by the callback
+ * @property {*} error - Exception thrown by the callback
+ * @property {Number} durationMs - Milliseconds the callback took to run (0 if skipped)
+ */
+
+/**
+ * Result of an awaited emit
+ * @typedef EmitResult
+ * @property {String} eventName - Name of the emitted event
+ * @property {ExecutionResult[]} results - Result of each executed callback, in the order they were executed
+ * @property {Boolean} hasErrors - If any callback threw an exception
+ * @property {Boolean} isHandled - If a callback marked the event as handled
+ * @property {Boolean} isPropagationStopped - If a callback stopped the propagation to the remaining callbacks
+ * @property {Boolean} isCanceled - If a middleware canceled the emit before dispatching it
+ */
+
+/**
+ * Report of a fire-and-forget emit
+ * @typedef EmitReport
+ * @property {String} eventName - Name of the emitted event
+ * @property {Number} totalExecuted - Number of callbacks that were executed
+ * @property {Boolean} isHandled - If a callback marked the event as handled before returning or awaiting
+ * @property {Boolean} isPropagationStopped - If a callback stopped the propagation before returning or awaiting
+ * @property {Boolean} isCanceled - If a middleware canceled the emit before dispatching it
+ */
+
+/**
+ * An emit going through the middlewares
+ * @typedef Emission
+ * @property {String} eventName - Name of the event to dispatch. Can be changed by the middlewares
+ * @property {any[]} args - Arguments to dispatch. Can be changed or replaced by the middlewares
+ * @property {'event'|'async'|'serial'} mode - Emit method used: emitEvent, emitAsync or emitSerial
+ * @property {Date} startDate - Date the emit started
+ * @property {() => void} cancel - Cancel the emit, no callback is executed
+ * @property {Boolean} isCanceled - If a middleware canceled the emit
+ */
+
+/**
+ * Cross-cutting behavior applied to every emit
+ ** before hooks run in the order they were added, after hooks in the reverse order
+ * @typedef EmitMiddleware
+ * @property {(emission: Emission) => void} before - Called before validating and dispatching the event. Can modify the emission or cancel it. Exceptions are thrown to the emitter
+ * @property {(emission: Emission, result: EmitResult) => void|Promise<void>} after - Called after all the callbacks finished. Awaited by emitAsync and emitSerial
+ */
+
+/**
+ * Details of an exception thrown by a callback
+ * @typedef ListenerErrorDetails
+ * @property {String} emitterName - Name of the emitter
+ * @property {String} eventName - Name of the event where the callback was registered
+ * @property {Number} executionId - ID of the callback that threw (-1 if thrown by an after hook of a middleware in emitEvent)
+ */
+
+/**
+ * Details of emitted arguments that do not match the event schema
+ * @typedef SchemaErrorDetails
+ * @property {String} emitterName - Name of the emitter
+ * @property {String} eventName - Name of the emitted event
+ * @property {any[]} args - Emitted arguments
+ * @property {import('./EventSchema.js').SchemaIssue[]} issues - Values that do not match the schema
+ */
+
+/**
+ * Settings of EventEmitter.waitFor()
+ * @typedef WaitForOptions
+ * @property {Number} timeoutMs - Rejects if the event is not emitted in the defined milliseconds
+ * @property {(...args: any[]) => Boolean} filter - Only an emission whose arguments make the filter return true resolves the promise
+ * @property {AbortSignal} signal - Rejects when the signal is aborted
+ */
+
 /**
  * Returns a promise that waits x milliseconds to resolve
  * @param {Number} ms - Time in milliseconds to wait
@@ -33,95 +175,910 @@ export async function pause(ms) {
     });
 }
 
+/**
+ * Returns true if the event name matches the pattern
+ ** The names are split in segments by ':'. In the pattern, '*' matches exactly one segment and '**' matches any number of segments
+ * @param {String} pattern - Pattern of the listener. Ex: 'order:*', '*:created', '**'
+ * @param {String} eventName - Name of the emitted event. Ex: 'order:created'
+ */
+export function matchesEventPattern(pattern, eventName) {
+    if (pattern == eventName) return true;
+    // Names that are not strings (ex: numbers) only match themselves
+    if (typeof eventName != 'string' || !isEventPattern(pattern)) return false;
+
+    const patternSegments = pattern.split(':');
+    const nameSegments = eventName.split(':');
+
+    const matchSegments = (patternIndex, nameIndex) => {
+        if (patternIndex == patternSegments.length) return nameIndex == nameSegments.length;
+
+        const segment = patternSegments[patternIndex];
+
+        if (segment == '**') {
+            // Try consuming from zero to all the remaining segments
+            for (let consumed = nameIndex; consumed <= nameSegments.length; consumed++) {
+                if (matchSegments(patternIndex + 1, consumed)) return true;
+            }
+            return false;
+        }
+
+        if (nameIndex == nameSegments.length) return false;
+        if (segment != '*' && segment != nameSegments[nameIndex]) return false;
+
+        return matchSegments(patternIndex + 1, nameIndex + 1);
+    };
+
+    return matchSegments(0, 0);
+}
+
+/**
+ * Returns true if the event name has wildcard segments. Names that are not strings are never patterns
+ * @param {String} eventName
+ */
+function isEventPattern(eventName) {
+    return typeof eventName == 'string' && eventName.split(':').some(segment => segment == '*' || segment == '**');
+}
+
+/**
+ * Context of an emitted event, passed as the last argument to the callbacks registered with receiveContext
+ ** A callback can stop the propagation to the callbacks with a lower priority or mark the event as handled
+ */
+export class EventContext {
+
+    /**
+     * Name of the emitted event
+     */
+    eventName = ''
+
+    /**
+     * If the remaining callbacks should not be executed
+     */
+    propagationStopped = false;
+
+    /**
+     * If a callback marked the event as handled
+     */
+    handled = false;
+
+    /**
+     * If the emission is a past one delivered to a callback registered later (sticky or replayed)
+     */
+    replayed = false;
+
+    /**
+     * Instantiate the context of an emitted event
+     * @param {String} eventName - Name of the emitted event
+     * @param {Boolean} isReplay - If the emission is a past one delivered to a late callback (default false)
+     */
+    constructor(eventName, isReplay) {
+        this.eventName = eventName;
+        if (isReplay != undefined) this.replayed = isReplay;
+    }
+
+    /**
+     * Prevent the execution of the remaining callbacks
+     ** With emitEvent and emitAsync the callbacks are started one after the other, so only a call made before the callback awaits has effect
+     */
+    stopPropagation() {
+        this.propagationStopped = true;
+    }
+
+    /**
+     * Mark the event as handled, reported back to the emitter of the event
+     */
+    markHandled() {
+        this.handled = true;
+    }
+
+    /**
+     * Returns the name of the emitted event
+     */
+    getEventName() {
+        return this.eventName;
+    }
+
+    /**
+     * Returns true if a callback stopped the propagation
+     */
+    isPropagationStopped() {
+        return this.propagationStopped;
+    }
+
+    /**
+     * Returns true if a callback marked the event as handled
+     */
+    isHandled() {
+        return this.handled;
+    }
+
+    /**
+     * Returns true if the emission is a past one delivered to a callback registered later
+     */
+    isReplay() {
+        return this.replayed;
+    }
+}
+
 /**
  * Instance of a new event manager
  */
 export class EventEmitter {
 
     /**
-     * Name that identifies this event emitter
+     * Name that identifies this event emitter
+     */
+    nameId = ''
+
+    /**
+     * List of existing events
+     * @type {Event[]}
+     */
+    events = []
+
+    /**
+     * Incremental ID for each added event
+     */
+    eventIds = 0;
+
+    /**
+     * Hook that receives the exceptions thrown by the callbacks. Without it and without 'error' listeners, they are reported with process.emitWarning
+     * @type {(error: *, details: ListenerErrorDetails) => void}
+     */
+    onError = undefined;
+
+    /**
+     * Middlewares applied to every emit, in the order they were added
+     * @type {EmitMiddleware[]}
+     */
+    middlewares = [];
+
+    /**
+     * Arguments of each event, validated before dispatching
+     * @type {import('./EventSchema.js').EventSchema}
+     */
+    schema = undefined;
+
+    /**
+     * 'strict' throws when the emitted arguments do not match the schema, 'lenient' reports them to onSchemaError and dispatches the event
+     * @type {'strict'|'lenient'}
+     */
+    schemaMode = 'strict';
+
+    /**
+     * Hook that receives the emitted arguments that do not match the schema in lenient mode
+     * @type {(error: Error, details: SchemaErrorDetails) => void}
+     */
+    onSchemaError = undefined;
+
+    /**
+     * Number of callbacks an event can have before a possible leak is reported (0 disables it)
+     */
+    maxListeners = 10;
+
+    /**
+     * Hook that receives the leak warnings. If not defined, they are reported with process.emitWarning
+     * @type {(warning: MaxListenersWarning) => void}
+     */
+    onMaxListenersExceeded = undefined;
+
+    /**
+     * Names (or patterns) of the events whose last payload is delivered to the callbacks registered later
+     * @type {String[]}
+     */
+    stickyEvents = [];
+
+    /**
+     * Last emission of each sticky event, by event name
+     * @type {Map<String, EventRecord>}
+     */
+    stickyRecords = new Map();
+
+    /**
+     * Number of emissions kept per event name (0 disables the history)
+     */
+    historySize = 0;
+
+    /**
+     * Last emissions of each event, by event name
+     * @type {Map<String, EventRecord[]>}
+     */
+    history = new Map();
+
+    /**
+     * Incremental number of the recorded emissions
+     */
+    recordSequence = 0;
+
+
+    /**
+     * Instantiate a new event manager
+     ** Exceptions thrown by the callbacks are reported to the onError hook and to the listeners of the 'error' event
+     * @param {String} name - A name(optional) that identifies this instance
+     * @param {Object} parameters - Additional parameters (optional)
+     * @param {(error: *, details: ListenerErrorDetails) => void} parameters.onError - Hook that receives the exceptions thrown by the callbacks. Without it and without 'error' listeners, they are reported with process.emitWarning
+     * @param {import('./EventSchema.js').EventSchema} parameters.schema - Arguments of each event. The events not defined in the schema are not validated
+     * @param {'strict'|'lenient'} parameters.schemaMode - 'strict' (default) throws on invalid arguments, 'lenient' reports them to onSchemaError and dispatches the event
+     * @param {(error: Error, details: SchemaErrorDetails) => void} parameters.onSchemaError - Hook that receives the invalid arguments in lenient mode
+     * @param {Number} parameters.maxListeners - Number of callbacks an event can have before a possible leak is reported (default 10, 0 disables it)
+     * @param {(warning: MaxListenersWarning) => void} parameters.onMaxListenersExceeded - Hook that receives the leak warnings instead of process.emitWarning
+     * @param {String[]} parameters.stickyEvents - Names (or patterns) of the events whose last payload is delivered to the callbacks registered later. Ex: ['ready']
+     * @param {Number} parameters.historySize - Number of emissions kept per event name, that new callbacks can replay (default 0, disabled)
+     */
+    constructor(name, parameters) {
+        if (name == undefined) {
+            this.nameId = `EventEmitter-${Math.random().toString(36).substring(7)}`;
+        } else {
+            this.nameId = name;
+        }
+
+        if (parameters != undefined) {
+            if (parameters.onError != undefined) this.onError = parameters.onError;
+
+            if (parameters.schema != undefined) {
+                validateEventSchema(parameters.schema);
+                this.schema = parameters.schema;
+            }
+
+            if (parameters.schemaMode != undefined) {
+                if (parameters.schemaMode != 'strict' && parameters.schemaMode != 'lenient') {
+                    throw new Error(`Invalid schema mode: ${parameters.schemaMode}. Expected 'strict' or 'lenient'`);
+                }
+                this.schemaMode = parameters.schemaMode;
+            }
+
+            if (parameters.onSchemaError != undefined) this.onSchemaError = parameters.onSchemaError;
+
+            if (parameters.maxListeners != undefined) this.setMaxListeners(parameters.maxListeners);
+            if (parameters.onMaxListenersExceeded != undefined) this.onMaxListenersExceeded = parameters.onMaxListenersExceeded;
+
+            if (parameters.stickyEvents != undefined) this.stickyEvents = parameters.stickyEvents.concat();
+
+            if (parameters.historySize != undefined) {
+                if (!Number.isInteger(parameters.historySize) || parameters.historySize < 0) {
+                    throw new Error(`Invalid history size: ${parameters.historySize}. Expected a non-negative integer`);
+                }
+                this.historySize = parameters.historySize;
+            }
+        }
+    }
+
+    /**
+     * Add a callback to be executed when the specified event is triggered
+     ** The event name can be a pattern with '*' (one segment) and '**' (any number of segments) separated by ':'. Ex: 'order:*'
+     ** Callbacks registered with a pattern receive the name of the emitted event as the first argument, followed by the emitted arguments
+     ** With the receiveContext parameter, the callback also receives the EventContext of the emission as the last argument
+     ** The last payload of the matching sticky events and the emissions requested with the replay parameter are delivered before returning
+     * @param {String} eventName - Name of the event to trigger. Ex: 'newData'
+     * @param {Function} callback - Function to be executed when the event is triggered
+     * @param {ExecutionParameters} parameters - Additional parameters for the callback execution
+     * @returns {ListenerActions} - Returns an object with functions to interact with the added callback
+     */
+    addEvent(eventName, callback, parameters) {
+        let event = this.events.find((e) => e.getEventName() == eventName);
+
+        if (event == undefined) {
+            event = new Event(this, eventName, this.eventIds++);
+            this.eventIds++;
+            this.events.push(event);
+        }
+
+        let newExecutionId = event.addExecution(callback, parameters);
+        const execution = event.getExecution(newExecutionId);
+
+        // Report a possible leak once per event, with the stack of the caller
+        if (this.maxListeners > 0 && event.getTotalExecutions() > this.maxListeners && !event.hasWarnedMaxListeners) {
+            event.hasWarnedMaxListeners = true;
+
+            /**
+             * @type {MaxListenersWarning}
+             */
+            const warning = new Error(`Possible EventEmitter memory leak detected. ${event.getTotalExecutions()} callbacks added to the event ${eventName} of ${this.nameId}, the maximum is ${this.maxListeners}. Use setMaxListeners() to increase the limit`);
+            warning.name = 'MaxListenersExceededWarning';
+            warning.emitterName = this.nameId;
+            warning.eventName = eventName;
+            warning.count = event.getTotalExecutions();
+            Error.captureStackTrace(warning, this.addEvent);
+
+            if (this.onMaxListenersExceeded != undefined) {
+                this.onMaxListenersExceeded(warning);
+            } else {
+                process.emitWarning(warning);
+            }
+        }
+
+        this._replayTo(event, execution, parameters != undefined ? parameters.replay : undefined);
+
+        /**
+         * @type {ListenerActions}
+         */
+        const callbackInteractions = {
+            remove: () => {
+                this.removeExecution(eventName, newExecutionId);
+            },
+            executionId: newExecutionId,
+            eventName: event.getEventName(),
+            getQueueState: () => execution.getQueueState(),
+            getStats: () => execution.getStats()
+        }
+
+        return callbackInteractions;
+    }
+
+    /**
+     * Emit an event
+     ** The callbacks are executed by priority, without waiting for them to finish
+     * @param {String} eventName - Name of the event to be triggered
+     * @param  {...any} args - Arguments to be passed to the callback execution
+     * @returns {EmitReport}
+     * @throws If the arguments do not match the schema of the event in strict mode
+     */
+    emitEvent(eventName, ...args) {
+        const emission = this._runBeforeMiddlewares(eventName, args, 'event');
+
+        /**
+         * @type {EmitReport}
+         */
+        const report = {
+            eventName: emission.eventName,
+            totalExecuted: 0,
+            isHandled: false,
+            isPropagationStopped: false,
+            isCanceled: emission.isCanceled
+        };
+
+        let pendingResults = [];
+        const context = new EventContext(emission.eventName);
+
+        if (!emission.isCanceled) {
+            this._validatePayload(emission.eventName, emission.args);
+            this._recordEmission(emission.eventName, emission.args);
+
+            pendingResults = startListeners(getMatchedListeners(this.events, emission.eventName), emission.eventName, emission.args, context);
+
+            report.totalExecuted = pendingResults.length;
+            report.isHandled = context.isHandled();
+            report.isPropagationStopped = context.isPropagationStopped();
+        }
+
+        // The after hooks run when the callbacks finish, their exceptions can only be reported
+        if (this.middlewares.some((middleware) => middleware.after != undefined)) {
+            Promise.all(pendingResults)
+                .then((results) => this._runAfterMiddlewares(emission, createEmitResult(emission, results, context)))
+                .catch((ex) => this._reportError(ex, { emitterName: this.nameId, eventName: emission.eventName, executionId: -1 }));
+        }
+
+        return report;
+    }
+
+    /**
+     * Emit an event and wait for all callbacks to finish, running them at the same time
+     ** The callbacks are started by priority
+     * @param {String} eventName - Name of the event to be triggered
+     * @param  {...any} args - Arguments to be passed to the callback execution
+     * @returns {Promise<EmitResult>}
+     * @throws Rejects if the arguments do not match the schema of the event in strict mode
+     */
+    async emitAsync(eventName, ...args) {
+        const emission = this._runBeforeMiddlewares(eventName, args, 'async');
+        const context = new EventContext(emission.eventName);
+        let results = [];
+
+        if (!emission.isCanceled) {
+            this._validatePayload(emission.eventName, emission.args);
+            this._recordEmission(emission.eventName, emission.args);
+
+            results = await Promise.all(startListeners(getMatchedListeners(this.events, emission.eventName), emission.eventName, emission.args, context));
+        }
+
+        const emitResult = createEmitResult(emission, results, context);
+        await this._runAfterMiddlewares(emission, emitResult);
+
+        return emitResult;
+    }
+
+    /**
+     * Emit an event and wait for all callbacks to finish, running one after the other by priority
+     ** A callback can stop the propagation at any moment of its execution
+     * @param {String} eventName - Name of the event to be triggered
+     * @param  {...any} args - Arguments to be passed to the callback execution
+     * @returns {Promise<EmitResult>}
+     * @throws Rejects if the arguments do not match the schema of the event in strict mode
+     */
+    async emitSerial(eventName, ...args) {
+        const emission = this._runBeforeMiddlewares(eventName, args, 'serial');
+        const context = new EventContext(emission.eventName);
+        const results = [];
+
+        if (!emission.isCanceled) {
+            this._validatePayload(emission.eventName, emission.args);
+            this._recordEmission(emission.eventName, emission.args);
+
+            for (const listener of getMatchedListeners(this.events, emission.eventName)) {
+                results.push(await listener.execution.execute(...getListenerArgs(listener, emission.eventName, emission.args, context)));
+
+                if (context.isPropagationStopped()) break;
+            }
+        }
+
+        const emitResult = createEmitResult(emission, results, context);
+        await this._runAfterMiddlewares(emission, emitResult);
+
+        return emitResult;
+    }
+
+    /**
+     * Add a middleware applied to every emit
+     ** A function is used as the before hook
+     * @param {EmitMiddleware | ((emission: Emission) => void)} middleware - Hooks called before dispatching and after the callbacks finished
+     * @returns {{ remove: Function }} - Call remove to stop applying the middleware
+     */
+    use(middleware) {
+        /**
+         * @type {EmitMiddleware}
+         */
+        const definedMiddleware = typeof middleware == 'function' ? { before: middleware } : middleware;
+
+        if (definedMiddleware == undefined || (definedMiddleware.before == undefined && definedMiddleware.after == undefined)) {
+            throw new Error('Invalid middleware. Expected a function or an object with before and/or after hooks');
+        }
+
+        this.middlewares.push(definedMiddleware);
+
+        return {
+            remove: () => {
+                this.middlewares = this.middlewares.filter((m) => m != definedMiddleware);
+            }
+        };
+    }
+
+    /**
+     * Create the emission and pass it through the before hooks, until one cancels it
+     * @param {String} eventName - Name of the emitted event
+     * @param {any[]} args - Emitted arguments
+     * @param {'event'|'async'|'serial'} mode - Emit method used
+     * @returns {Emission}
+     */
+    _runBeforeMiddlewares(eventName, args, mode) {
+        /**
+         * @type {Emission}
+         */
+        const emission = {
+            eventName: eventName,
+            args: args,
+            mode: mode,
+            startDate: new Date(),
+            isCanceled: false,
+            cancel: () => {
+                emission.isCanceled = true;
+            }
+        };
+
+        for (const middleware of this.middlewares.concat()) {
+            if (middleware.before == undefined) continue;
+
+            middleware.before(emission);
+            if (emission.isCanceled) break;
+        }
+
+        return emission;
+    }
+
+    /**
+     * Pass the result of the emit through the after hooks, from the last middleware added to the first
+     * @param {Emission} emission - Emission returned by the before hooks
+     * @param {EmitResult} result - Result of the callbacks
+     */
+    async _runAfterMiddlewares(emission, result) {
+        for (const middleware of this.middlewares.concat().reverse()) {
+            if (middleware.after == undefined) continue;
+
+            await middleware.after(emission, result);
+        }
+    }
+
+    /**
+     * Wait for the next emission of an event
+     ** The registered callback is removed when the promise resolves or rejects
+     * @param {String} eventName - Name of the event (or pattern) to wait for
+     * @param {WaitForOptions} options - Timeout, filter and abort signal (optional)
+     * @returns {Promise<any[]>} Resolves with the emitted arguments
+     */
+    waitFor(eventName, options) {
+        const timeoutMs = options != undefined ? options.timeoutMs : undefined;
+        const filter = options != undefined ? options.filter : undefined;
+        const signal = options != undefined ? options.signal : undefined;
+
+        return new Promise((resolve, reject) => {
+            if (signal != undefined && signal.aborted) {
+                reject(getAbortReason(signal));
+                return;
+            }
+
+            let timeout;
+            let listener;
+            let isSettled = false;
+
+            const cleanup = () => {
+                isSettled = true;
+                if (timeout != undefined) clearTimeout(timeout);
+                if (signal != undefined) signal.removeEventListener('abort', onAbort);
+                if (listener != undefined) listener.remove();
+            };
+
+            const onAbort = () => {
+                cleanup();
+                reject(getAbortReason(signal));
+            };
+
+            listener = this.addEvent(eventName, (...args) => {
+                if (isSettled) return;
+
+                try {
+                    if (filter != undefined && !filter(...args)) return;
+                } catch (ex) {
+                    cleanup();
+                    reject(ex);
+                    return;
+                }
+
+                cleanup();
+                resolve(args);
+            });
+
+            // A sticky payload can settle the promise while the callback is registered
+            if (isSettled) {
+                listener.remove();
+                return;
+            }
+
+            if (timeoutMs != undefined) {
+                timeout = setTimeout(() => {
+                    cleanup();
+                    reject(new Error(`Timed out after ${timeoutMs}ms waiting for the event ${eventName}`));
+                }, timeoutMs);
+            }
+
+            if (signal != undefined) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Returns an async iterator over the emissions of an event, to be used with for await
+     ** The emissions are buffered until read. The registered callback is removed when the loop ends (break, return or throw) or the signal is aborted
+     * @param {String} eventName - Name of the event (or pattern) to listen to
+     * @param {Object} options - Additional settings (optional)
+     * @param {AbortSignal} options.signal - Ends the iteration with the abort reason when aborted
+     * @returns {AsyncIterableIterator<any[]>} Each value is the array of emitted arguments
+     */
+    on(eventName, options) {
+        const signal = options != undefined ? options.signal : undefined;
+
+        /**
+         * Emissions not read yet
+         * @type {any[][]}
+         */
+        const pendingEmissions = [];
+
+        /**
+         * Reads waiting for an emission
+         * @type {{ resolve: Function, reject: Function }[]}
+         */
+        const waitingReads = [];
+
+        let isDone = false;
+        let abortError;
+
+        const listener = this.addEvent(eventName, (...args) => {
+            if (waitingReads.length != 0) {
+                waitingReads.shift().resolve({ value: args, done: false });
+            } else {
+                pendingEmissions.push(args);
+            }
+        });
+
+        const finish = () => {
+            if (isDone) return;
+            isDone = true;
+
+            listener.remove();
+            if (signal != undefined) signal.removeEventListener('abort', onAbort);
+            pendingEmissions.length = 0;
+        };
+
+        const onAbort = () => {
+            abortError = getAbortReason(signal);
+            finish();
+
+            for (const waitingRead of waitingReads.splice(0)) {
+                waitingRead.reject(abortError);
+            }
+        };
+
+        if (signal != undefined) {
+            if (signal.aborted) {
+                onAbort();
+            } else {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        }
+
+        return {
+            next: () => {
+                if (pendingEmissions.length != 0) return Promise.resolve({ value: pendingEmissions.shift(), done: false });
+                if (abortError != undefined) return Promise.reject(abortError);
+                if (isDone) return Promise.resolve({ value: undefined, done: true });
+
+                return new Promise((resolve, reject) => waitingReads.push({ resolve, reject }));
+            },
+            return: () => {
+                finish();
+
+                for (const waitingRead of waitingReads.splice(0)) {
+                    waitingRead.resolve({ value: undefined, done: true });
+                }
+                return Promise.resolve({ value: undefined, done: true });
+            },
+            throw: (error) => {
+                finish();
+                return Promise.reject(error);
+            },
+            [Symbol.asyncIterator]() {
+                return this;
+            }
+        };
+    }
+
+    /**
+     * Returns the problems of the arguments according to the schema of the event
+     * @param {String} eventName - Name of the event
+     * @param {any[]} args - Arguments to validate
+     * @returns {import('./EventSchema.js').SchemaIssue[]} Empty if the arguments are valid or the event has no schema
+     */
+    validateEvent(eventName, args) {
+        const argumentSchemas = this.getEventSchema(eventName);
+        if (argumentSchemas == undefined) return [];
+
+        return validateEventArgs(argumentSchemas, args);
+    }
+
+    /**
+     * Returns the schema of the arguments of an event, or undefined if it has none
+     * @param {String} eventName - Name of the event
+     * @returns {import('./EventSchema.js').ValueSchema[]}
+     */
+    getEventSchema(eventName) {
+        if (this.schema == undefined || !Object.prototype.hasOwnProperty.call(this.schema, eventName)) return undefined;
+        return this.schema[eventName];
+    }
+
+    /**
+     * Validate the emitted arguments, throwing in strict mode or reporting to onSchemaError in lenient mode
+     * @param {String} eventName - Name of the emitted event
+     * @param {any[]} args - Emitted arguments
+     */
+    _validatePayload(eventName, args) {
+        const issues = this.validateEvent(eventName, args);
+        if (issues.length == 0) return;
+
+        const error = new Error(`Invalid arguments for the event ${eventName}: ${issues.map((issue) => `${issue.path}: ${issue.message}`).join('; ')}`);
+        error.issues = issues;
+
+        if (this.schemaMode == 'strict') throw error;
+
+        if (this.onSchemaError != undefined) {
+            try {
+                this.onSchemaError(error, { emitterName: this.nameId, eventName: eventName, args: args, issues: issues });
+            } catch (ex) { }
+        }
+    }
+
+    /**
+     * Report an exception thrown by a callback to the onError hook and to the listeners of the 'error' event
+     ** Exceptions thrown by the 'error' listeners are only reported to the onError hook
+     ** If neither receives the exception, it is reported with process.emitWarning so it is not lost
+     * @param {*} error - Exception thrown
+     * @param {ListenerErrorDetails} details - Where the exception was thrown
+     */
+    _reportError(error, details) {
+        let isReported = false;
+
+        if (this.onError != undefined) {
+            isReported = true;
+            try {
+                this.onError(error, details);
+            } catch (ex) { }
+        }
+
+        if (details.eventName != 'error') {
+            const errorEvent = this.events.find((e) => e.getEventName() == 'error');
+            if (errorEvent != undefined && errorEvent.getTotalExecutions() > 0) {
+                isReported = true;
+                errorEvent.execute(new EventContext('error'), error, details);
+            }
+        }
+
+        if (!isReported) {
+            process.emitWarning(error instanceof Error ? error : new Error(String(error)));
+        }
+    }
+
+    /**
+     * Returns the recorded emissions of the events that match the name, from the oldest to the newest
+     ** Includes the history and the last payload of the sticky events
+     * @param {String} eventName - Name of the event (or pattern)
+     * @param {HistoryFilter} filter - Selection of the emissions (optional)
+     * @returns {EventRecord[]}
+     */
+    getHistory(eventName, filter) {
+        const records = new Set();
+
+        for (const [recordedName, eventRecords] of this.history) {
+            if (!matchesEventPattern(eventName, recordedName)) continue;
+            eventRecords.forEach((record) => records.add(record));
+        }
+
+        for (const [recordedName, record] of this.stickyRecords) {
+            if (matchesEventPattern(eventName, recordedName)) records.add(record);
+        }
+
+        let selected = Array.from(records).sort((a, b) => a.sequence - b.sequence);
+
+        if (filter != undefined) {
+            if (filter.since != undefined) {
+                const sinceTime = filter.since instanceof Date ? filter.since.getTime() : filter.since;
+                selected = selected.filter((record) => record.date.getTime() >= sinceTime);
+            }
+
+            if (filter.last != undefined) {
+                selected = filter.last > 0 ? selected.slice(-filter.last) : [];
+            }
+        }
+
+        return selected.map((record) => ({ eventName: record.eventName, args: record.args.concat(), date: record.date, sequence: record.sequence }));
+    }
+
+    /**
+     * Remove the recorded emissions of the events that match the name
+     * @param {String} eventName - Name of the event (or pattern). Without it, the whole history is removed
      */
-    nameId = ''
+    clearHistory(eventName) {
+        for (const recordedName of Array.from(this.history.keys())) {
+            if (eventName == undefined || matchesEventPattern(eventName, recordedName)) this.history.delete(recordedName);
+        }
+    }
 
     /**
-     * List of existing events
-     * @type {Event[]}
+     * Remove the last payload of the sticky events that match the name, so the callbacks registered later don't receive it
+     * @param {String} eventName - Name of the event (or pattern). Without it, all the sticky payloads are removed
      */
-    events = []
+    clearSticky(eventName) {
+        for (const recordedName of Array.from(this.stickyRecords.keys())) {
+            if (eventName == undefined || matchesEventPattern(eventName, recordedName)) this.stickyRecords.delete(recordedName);
+        }
+    }
 
     /**
-     * Incremental ID for each added event
+     * Keep the emission as the last payload of a sticky event and in the history
+     * @param {String} eventName - Name of the emitted event
+     * @param {any[]} args - Emitted arguments
      */
-    eventIds = 0;
+    _recordEmission(eventName, args) {
+        const isSticky = this.stickyEvents.some((stickyEvent) => matchesEventPattern(stickyEvent, eventName));
+        if (!isSticky && this.historySize == 0) return;
 
+        /**
+         * @type {EventRecord}
+         */
+        const record = { eventName: eventName, args: args, date: new Date(), sequence: this.recordSequence++ };
 
-    /**
-     * Instantiate a new event manager
-     * @param {String} name - A name(optional) that identifies this instance
-     */
-    constructor(name) {
-        if (name == undefined) {
-            this.nameId = `EventEmitter-${Math.random().toString(36).substring(7)}`;
-        } else {
-            this.nameId = name;
+        if (isSticky) this.stickyRecords.set(eventName, record);
+
+        if (this.historySize > 0) {
+            const eventRecords = this.history.has(eventName) ? this.history.get(eventName) : [];
+            eventRecords.push(record);
+
+            // Keep only the newest records
+            if (eventRecords.length > this.historySize) eventRecords.splice(0, eventRecords.length - this.historySize);
+
+            this.history.set(eventName, eventRecords);
         }
     }
 
     /**
-     * Add a callback to be executed when the specified event is triggered
-     * @param {String} eventName - Name of the event to trigger. Ex: 'newData'
-     * @param {Function} callback - Function to be executed when the event is triggered
-     * @param {ExecutionParameters} parameters - Additional parameters for the callback execution
-     * @returns {ListenerActions} - Returns an object with functions to interact with the added callback
+     * Deliver the sticky payloads and the requested emissions of the history to a new callback, from the oldest to the newest
+     ** Callbacks removed after executing only receive the newest emission
+     * @param {Event} event - Event where the callback was registered
+     * @param {Execution} execution - New callback
+     * @param {HistoryFilter} replay - Emissions of the history requested by the callback
      */
-    addEvent(eventName, callback, parameters) {
-        let event = this.events.find((e) => e.getEventName() == eventName);
+    _replayTo(event, execution, replay) {
+        const records = new Map();
 
-        if (event == undefined) {
-            event = new Event(this, eventName, this.eventIds++);
-            this.eventIds++;
-            this.events.push(event);
+        for (const [recordedName, record] of this.stickyRecords) {
+            if (matchesEventPattern(event.getEventName(), recordedName)) records.set(record.sequence, record);
         }
 
-        let newExecutionId = event.addExecution(callback, parameters);
+        if (replay != undefined) {
+            for (const record of this.getHistory(event.getEventName(), replay)) {
+                records.set(record.sequence, record);
+            }
+        }
 
-        /**
-         * @type {ListenerActions}
-         */
-        const callbackInteractions = {
-            remove: () => {
-                this.removeExecution(eventName, newExecutionId);
-            },
-            executionId: newExecutionId,
-            eventName: event.getEventName()
+        let deliveredRecords = Array.from(records.values()).sort((a, b) => a.sequence - b.sequence);
+        if (execution.parameters.removeAfterExecute) deliveredRecords = deliveredRecords.slice(-1);
+
+        const listener = { execution: execution, isPattern: event.isPattern() };
+
+        for (const record of deliveredRecords) {
+            execution.execute(...getListenerArgs(listener, record.eventName, record.args, new EventContext(record.eventName, true)));
         }
+    }
 
-        return callbackInteractions;
+    /**
+     * Returns the number of callbacks executed when the event is emitted, including the ones registered with a matching pattern
+     ** Without an event name, returns the number of all the registered callbacks
+     * @param {String} eventName - Name of the event (optional)
+     */
+    listenerCount(eventName) {
+        if (eventName == undefined) {
+            return this.events.reduce((total, event) => total + event.getTotalExecutions(), 0);
+        }
+
+        return getMatchedListeners(this.events, eventName).length;
     }
 
     /**
-     * Emit an event
-     * @param {String} eventName - Name of the event to be triggered
-     * @param  {...any} args - Arguments to be passed to the callback execution
+     * Returns the names (and patterns) of the events with registered callbacks
+     * @returns {String[]}
      */
-    emitEvent(eventName, ...args) {
-        let event = this.events.find((e) => e.getEventName() == eventName);
+    eventNames() {
+        return this.events.filter((event) => event.getTotalExecutions() != 0).map((event) => event.getEventName());
+    }
 
-        if (event == undefined) {
-            return;
+    /**
+     * Returns the description of the callbacks executed when the event is emitted, ordered by priority
+     ** Without an event name, returns all the registered callbacks
+     * @param {String} eventName - Name of the event (optional)
+     * @returns {ListenerInfo[]}
+     */
+    getListeners(eventName) {
+        const executions = eventName == undefined
+            ? this.events.flatMap((event) => event.getExecutions())
+            : getMatchedListeners(this.events, eventName).map((listener) => listener.execution);
+
+        return executions.map((execution) => execution.getInfo());
+    }
+
+    /**
+     * Set the number of callbacks an event can have before a possible leak is reported
+     * @param {Number} maxListeners - Maximum number of callbacks per event (0 or Infinity disables the warning)
+     */
+    setMaxListeners(maxListeners) {
+        if (typeof maxListeners != 'number' || isNaN(maxListeners) || maxListeners < 0) {
+            throw new Error(`Invalid max listeners: ${maxListeners}. Expected a non-negative number`);
         }
 
-        // Execute event
-        event.execute(...args);
+        this.maxListeners = maxListeners;
+    }
+
+    /**
+     * Returns the number of callbacks an event can have before a possible leak is reported
+     */
+    getMaxListeners() {
+        return this.maxListeners;
     }
 
     /**
      * Remove all callbacks from an event
-     * @param {String} eventName - Name of the event to remove along with its callbacks
+     * @param {String} eventName - Name of the event to remove along with its callbacks. A pattern removes every event whose name matches it
      */
     removeEvent(eventName) {
         const totalEvents = this.events.length;
-        this.events = this.events.filter((event) => event.getEventName() != eventName);
+
+        for (const event of this.events.filter((event) => matchesEventPattern(eventName, event.getEventName()))) {
+            event.clearExecutions();
+        }
+        this.events = this.events.filter((event) => !matchesEventPattern(eventName, event.getEventName()));
     }
 
     /**
@@ -148,10 +1105,97 @@ export class EventEmitter {
      * Remove all registered events
      */
     removeAllEvents() {
+        for (const event of this.events) {
+            event.clearExecutions();
+        }
         this.events = [];
     }
 }
 
+/**
+ * Returns the reason of an aborted signal as an error
+ * @param {AbortSignal} signal
+ */
+function getAbortReason(signal) {
+    if (signal.reason != undefined) return signal.reason;
+
+    const abortError = new Error('The operation was aborted');
+    abortError.name = 'AbortError';
+    return abortError;
+}
+
+/**
+ * Returns the callbacks of the events that match the name, ordered by priority
+ ** Callbacks with the same priority keep the order of their events and the order they were registered
+ * @param {Event[]} events - Registered events
+ * @param {String} eventName - Name of the emitted event
+ * @returns {{ execution: Execution, isPattern: Boolean }[]}
+ */
+function getMatchedListeners(events, eventName) {
+    const listeners = [];
+
+    for (const event of events.filter((e) => matchesEventPattern(e.getEventName(), eventName))) {
+        for (const execution of event.getExecutions()) {
+            listeners.push({ execution: execution, isPattern: event.isPattern() });
+        }
+    }
+
+    // Array.sort is stable, so the registration order is kept between equal priorities
+    return listeners.sort((a, b) => b.execution.getPriority() - a.execution.getPriority());
+}
+
+/**
+ * Returns the arguments of a callback: pattern listeners also receive the name that fired, and the callbacks registered with receiveContext receive the context last
+ * @param {{ execution: Execution, isPattern: Boolean }} listener
+ * @param {String} eventName - Name of the emitted event
+ * @param {any[]} args - Emitted arguments
+ * @param {EventContext} context - Context of the emission
+ */
+function getListenerArgs(listener, eventName, args, context) {
+    const listenerArgs = listener.isPattern ? [eventName, ...args] : [...args];
+    if (listener.execution.receivesContext()) listenerArgs.push(context);
+
+    return listenerArgs;
+}
+
+/**
+ * Start the callbacks one after the other without waiting for them, until one stops the propagation
+ * @param {{ execution: Execution, isPattern: Boolean }[]} listeners - Callbacks ordered by priority
+ * @param {String} eventName - Name of the emitted event
+ * @param {any[]} args - Emitted arguments
+ * @param {EventContext} context - Context of the emission
+ * @returns {Promise<ExecutionResult>[]} Results of the started callbacks
+ */
+function startListeners(listeners, eventName, args, context) {
+    const pendingResults = [];
+
+    for (const listener of listeners) {
+        pendingResults.push(listener.execution.execute(...getListenerArgs(listener, eventName, args, context)));
+
+        if (context.isPropagationStopped()) break;
+    }
+
+    return pendingResults;
+}
+
+/**
+ * Returns the result of an awaited emit
+ * @param {Emission} emission - Emission that was dispatched
+ * @param {ExecutionResult[]} results - Results of the callbacks
+ * @param {EventContext} context - Context of the emission
+ * @returns {EmitResult}
+ */
+function createEmitResult(emission, results, context) {
+    return {
+        eventName: emission.eventName,
+        results: results,
+        hasErrors: results.some((result) => result.status == 'rejected'),
+        isHandled: context.isHandled(),
+        isPropagationStopped: context.isPropagationStopped(),
+        isCanceled: emission.isCanceled
+    };
+}
+
 /**
  * An event containing its executions
  */
@@ -182,6 +1226,11 @@ class Event {
      */
     executionCounter = 0;
 
+    /**
+     * If the leak warning was already reported for this event
+     */
+    hasWarnedMaxListeners = false;
+
     /**
      * Instantiate a new trigger event
      * @param {EventEmitter} emitter - Instance of the emitter to which this event belongs
@@ -201,7 +1250,14 @@ class Event {
      */
     addExecution(callbackFunction, parameters) {
         const newExecution = new Execution(this, this.executionCounter, callbackFunction, parameters);
-        this.executions.push(newExecution);
+
+        // Keep the executions ordered by priority, after the ones with the same priority
+        const insertIndex = this.executions.findIndex((execution) => execution.getPriority() < newExecution.getPriority());
+        if (insertIndex == -1) {
+            this.executions.push(newExecution);
+        } else {
+            this.executions.splice(insertIndex, 0, newExecution);
+        }
 
         this.executionCounter++;
 
@@ -209,23 +1265,54 @@ class Event {
     }
 
     /**
-     * Execute this event, triggering all executions
+     * Execute this event, triggering the executions by priority until one stops the propagation
+     * @param {EventContext} context - Context of the emission, passed as the last argument to the callbacks registered with receiveContext
+     * @param {...any} args - Arguments to be passed to the callback execution
+     * @returns {Promise<ExecutionResult[]>}
      */
-    execute(...args) {
-        this.executions.forEach((execution) => {
-            execution.execute(...args);
-        });
+    execute(context, ...args) {
+        return Promise.all(startListeners(this.executions.map((execution) => ({ execution: execution, isPattern: false })), context.getEventName(), args, context));
+    }
+
+    /**
+     * Returns the registered executions, ordered by priority
+     */
+    getExecutions() {
+        return this.executions.concat();
+    }
+
+    /**
+     * Returns the execution with the ID
+     * @param {Number} id - ID of the execution
+     */
+    getExecution(id) {
+        return this.executions.find((execution) => execution.getID() == id);
     }
 
     /**
      * Remove an execution from this event
+     ** Its pending calls are skipped
      * @param {Number} id - ID of the execution to be removed 
      */
     removeExecution(id) {
         const total = this.executions.length;
+
+        const removedExecution = this.getExecution(id);
+        if (removedExecution != undefined) removedExecution.clearPendingCalls();
+
         this.executions = this.executions.filter((execution) => execution.getID() != id);
     }
 
+    /**
+     * Skip the pending calls of all the executions, used when the event is removed
+     */
+    clearExecutions() {
+        for (const execution of this.executions) {
+            execution.stopAutomaticCancellation();
+            execution.clearPendingCalls();
+        }
+    }
+
     /**
      * Returns the configured event name
      */
@@ -233,6 +1320,13 @@ class Event {
         return this.eventName;
     }
 
+    /**
+     * Returns true if the event name is a wildcard pattern
+     */
+    isPattern() {
+        return isEventPattern(this.eventName);
+    }
+
     /**
      * Unique event ID
      */
@@ -292,6 +1386,31 @@ class Execution {
          * If the callback should not be executed again while it is already being executed
          */
         onlyOneExecutionAtATime: false,
+        /**
+         * Policy applied when the callback is called while running at its limit
+         * @type {'parallel'|'drop'|'queue'|'latest'}
+         */
+        concurrency: 'parallel',
+        /**
+         * Maximum number of simultaneous runs
+         */
+        maxConcurrent: Infinity,
+        /**
+         * Milliseconds without calls before running the last call (0 disables it)
+         */
+        debounceMs: 0,
+        /**
+         * Minimum milliseconds between runs (0 disables it)
+         */
+        throttleMs: 0,
+        /**
+         * Callbacks with a higher priority are executed first
+         */
+        priority: 0,
+        /**
+         * If the EventContext of the emission is passed as the last argument
+         */
+        receiveContext: false,
     }
 
     /**
@@ -310,6 +1429,63 @@ class Execution {
          * setTimeout that expires the callback execution
          */
         expirationTimeout: -1,
+        /**
+         * Number of runs in progress
+         */
+        runningCount: 0,
+        /**
+         * Calls waiting for a run to finish
+         * @type {{ args: any[], resolve: (result: ExecutionResult | Promise<ExecutionResult>) => void }[]}
+         */
+        pendingCalls: [],
+        /**
+         * Call waiting for the debounce time to pass
+         * @type {{ args: any[], resolve: (result: ExecutionResult | Promise<ExecutionResult>) => void }}
+         */
+        debouncedCall: undefined,
+        /**
+         * setTimeout of the debounced call
+         */
+        debounceTimeout: -1,
+        /**
+         * Time of the last call that was not throttled
+         */
+        lastThrottleTime: -Infinity,
+        /**
+         * Number of calls that were not executed
+         */
+        totalSkipped: 0,
+        /**
+         * Date the callback expires while the expiration is active
+         * @type {Date}
+         */
+        expirationDate: undefined,
+        /**
+         * Usage statistics
+         */
+        stats: {
+            /**
+             * Number of runs started
+             */
+            calls: 0,
+            /**
+             * Number of runs finished
+             */
+            completedCalls: 0,
+            /**
+             * Number of runs that threw an exception
+             */
+            errors: 0,
+            /**
+             * Date of the last run
+             * @type {Date}
+             */
+            lastCallDate: undefined,
+            /**
+             * Sum of the duration of the finished runs
+             */
+            totalDurationMs: 0
+        }
     }
 
     /**
@@ -347,6 +1523,48 @@ class Execution {
             // Prevent execution if already executing
             if (parameters.onlyOneInstance != undefined) {
                 this.parameters.onlyOneExecutionAtATime = parameters.onlyOneInstance;
+
+                if (parameters.onlyOneInstance) {
+                    this.parameters.concurrency = 'drop';
+                    this.parameters.maxConcurrent = 1;
+                }
+            }
+
+            // Behavior when called while running
+            if (parameters.concurrency != undefined) {
+                if (typeof parameters.concurrency == 'number') {
+                    if (!Number.isInteger(parameters.concurrency) || parameters.concurrency < 1) {
+                        throw new Error(`Invalid concurrency: ${parameters.concurrency}. Expected a positive integer`);
+                    }
+
+                    this.parameters.concurrency = 'queue';
+                    this.parameters.maxConcurrent = parameters.concurrency;
+                } else if (['drop', 'queue', 'latest'].includes(parameters.concurrency)) {
+                    this.parameters.concurrency = parameters.concurrency;
+                    this.parameters.maxConcurrent = 1;
+                } else {
+                    throw new Error(`Invalid concurrency: ${parameters.concurrency}. Expected 'drop', 'queue', 'latest' or a number`);
+                }
+
+                this.parameters.onlyOneExecutionAtATime = this.parameters.concurrency == 'drop';
+            }
+
+            // Limit the rate of the calls
+            if (parameters.debounceMs != undefined) {
+                this.parameters.debounceMs = parameters.debounceMs;
+            }
+
+            if (parameters.throttleMs != undefined) {
+                this.parameters.throttleMs = parameters.throttleMs;
+            }
+
+            // Order of execution
+            if (parameters.priority != undefined) {
+                this.parameters.priority = parameters.priority;
+            }
+
+            if (parameters.receiveContext != undefined) {
+                this.parameters.receiveContext = parameters.receiveContext;
             }
         }
     }
@@ -355,6 +1573,7 @@ class Execution {
      * Activate the setTimeout that cancels
      */
     activateAutomaticCancellation() {
+        this.state.expirationDate = new Date(Date.now() + this.parameters.expirationCallback.timeMs);
         this.state.expirationTimeout = setTimeout(() => {
             this.parameters.expirationCallback.callback();
             this.cancel();
@@ -367,6 +1586,9 @@ class Execution {
     stopAutomaticCancellation() {
         if (this.state.expirationTimeout == -1) return;
         clearTimeout(this.state.expirationTimeout);
+
+        this.state.expirationTimeout = -1;
+        this.state.expirationDate = undefined;
     }
 
     /**
@@ -376,6 +1598,20 @@ class Execution {
         return this.executionId;
     }
 
+    /**
+     * Returns the priority of this callback
+     */
+    getPriority() {
+        return this.parameters.priority;
+    }
+
+    /**
+     * Returns true if the callback receives the EventContext of the emission as the last argument
+     */
+    receivesContext() {
+        return this.parameters.receiveContext;
+    }
+
     /**
      * Remove this callback from the event's list
      */
@@ -385,32 +1621,168 @@ class Execution {
     }
 
     /**
-     * Execute callback function
+     * Skip the calls waiting for a run or for the debounce time
+     */
+    clearPendingCalls() {
+        if (this.state.debouncedCall != undefined) {
+            clearTimeout(this.state.debounceTimeout);
+            this.state.debouncedCall.resolve(this.createSkippedResult());
+            this.state.debouncedCall = undefined;
+        }
+
+        for (const pendingCall of this.state.pendingCalls.splice(0)) {
+            pendingCall.resolve(this.createSkippedResult());
+        }
+    }
+
+    /**
+     * Execute callback function, applying the throttle, debounce and concurrency settings
+     ** Never rejects, exceptions of the callback are returned in the result and reported to the emitter
+     * @returns {Promise<ExecutionResult>}
      */
     async execute(...args) {
         this.stopAutomaticCancellation();
 
-        if (this.state.isExecuting && this.parameters.onlyOneExecutionAtATime) {
-            return;
+        if (this.parameters.throttleMs > 0) {
+            const now = Date.now();
+            if (now - this.state.lastThrottleTime < this.parameters.throttleMs) {
+                return this.createSkippedResult();
+            }
+            this.state.lastThrottleTime = now;
+        }
+
+        if (this.parameters.debounceMs > 0) {
+            return this.debounce(args);
+        }
+
+        return this.schedule(args);
+    }
+
+    /**
+     * Wait for the debounce time to pass without new calls before scheduling the call. The replaced call is skipped
+     * @param {any[]} args - Arguments of the call
+     * @returns {Promise<ExecutionResult>}
+     */
+    debounce(args) {
+        if (this.state.debouncedCall != undefined) {
+            clearTimeout(this.state.debounceTimeout);
+            this.state.debouncedCall.resolve(this.createSkippedResult());
+        }
+
+        return new Promise((resolve) => {
+            this.state.debouncedCall = { args: args, resolve: resolve };
+
+            this.state.debounceTimeout = setTimeout(() => {
+                const debouncedCall = this.state.debouncedCall;
+                this.state.debouncedCall = undefined;
+
+                debouncedCall.resolve(this.schedule(debouncedCall.args));
+            }, this.parameters.debounceMs);
+        });
+    }
+
+    /**
+     * Run the call now, or apply the concurrency policy if the callback is running at its limit
+     * @param {any[]} args - Arguments of the call
+     * @returns {Promise<ExecutionResult>}
+     */
+    schedule(args) {
+        if (this.state.runningCount < this.parameters.maxConcurrent) {
+            return this.run(args);
+        }
+
+        if (this.parameters.concurrency == 'drop') {
+            return Promise.resolve(this.createSkippedResult());
+        }
+
+        if (this.parameters.concurrency == 'latest') {
+            // Only the last call is kept, the replaced ones are skipped
+            for (const pendingCall of this.state.pendingCalls.splice(0)) {
+                pendingCall.resolve(this.createSkippedResult());
+            }
         }
 
+        return new Promise((resolve) => {
+            this.state.pendingCalls.push({ args: args, resolve: resolve });
+        });
+    }
+
+    /**
+     * Returns the result of a call that was not executed
+     * @returns {ExecutionResult}
+     */
+    createSkippedResult() {
+        this.state.totalSkipped++;
+
+        return {
+            executionId: this.executionId,
+            eventName: this.eventInstance.getEventName(),
+            status: 'skipped',
+            value: undefined,
+            error: undefined,
+            durationMs: 0
+        };
+    }
+
+    /**
+     * Run the callback function and start the next pending call when it finishes
+     * @param {any[]} args - Arguments of the call
+     * @returns {Promise<ExecutionResult>}
+     */
+    async run(args) {
+        /**
+         * @type {ExecutionResult}
+         */
+        const executionResult = {
+            executionId: this.executionId,
+            eventName: this.eventInstance.getEventName(),
+            status: 'fulfilled',
+            value: undefined,
+            error: undefined,
+            durationMs: 0
+        };
+
+        const startTime = performance.now();
+        this.state.stats.calls++;
+        this.state.stats.lastCallDate = new Date();
+
         // Set as executing
+        this.state.runningCount++;
         this.state.isExecuting = true;
 
         // Call the callback function
         try {
-            await this.callbackFunction(...args);
+            executionResult.value = await this.callbackFunction(...args);
         } catch (ex) {
+            executionResult.status = 'rejected';
+            executionResult.error = ex;
+            this.state.stats.errors++;
+
+            this.eventInstance.emitterInstance._reportError(ex, {
+                emitterName: this.eventInstance.emitterInstance.nameId,
+                eventName: this.eventInstance.getEventName(),
+                executionId: this.executionId
+            });
         }
 
+        executionResult.durationMs = performance.now() - startTime;
+        this.state.stats.completedCalls++;
+        this.state.stats.totalDurationMs += executionResult.durationMs;
+
         // Set as not executing and has executed
-        this.state.isExecuting = false;
+        this.state.runningCount--;
+        this.state.isExecuting = this.state.runningCount > 0;
         this.state.hasExecuted = true;
 
         // If it should be removed after execution
         if (this.parameters.removeAfterExecute) {
             this.cancel();
+        } else if (this.state.pendingCalls.length != 0) {
+            const nextCall = this.state.pendingCalls.shift();
+            nextCall.resolve(this.run(nextCall.args));
         }
+
+        return executionResult;
     }
 
     /**
@@ -419,4 +1791,51 @@ class Execution {
     isExecuting() {
         return this.state.isExecuting;
     }
+
+    /**
+     * Returns the current runs and pending calls
+     * @returns {ListenerQueueState}
+     */
+    getQueueState() {
+        return {
+            concurrency: this.parameters.concurrency,
+            maxConcurrent: this.parameters.maxConcurrent,
+            running: this.state.runningCount,
+            pending: this.state.pendingCalls.length,
+            isDebouncing: this.state.debouncedCall != undefined,
+            totalSkipped: this.state.totalSkipped
+        };
+    }
+
+    /**
+     * Returns the usage statistics
+     * @returns {ListenerStats}
+     */
+    getStats() {
+        const stats = this.state.stats;
+
+        return {
+            calls: stats.calls,
+            errors: stats.errors,
+            skipped: this.state.totalSkipped,
+            lastCallDate: stats.lastCallDate,
+            averageDurationMs: stats.completedCalls != 0 ? stats.totalDurationMs / stats.completedCalls : 0
+        };
+    }
+
+    /**
+     * Returns the description of this callback
+     * @returns {ListenerInfo}
+     */
+    getInfo() {
+        return {
+            eventName: this.eventInstance.getEventName(),
+            executionId: this.executionId,
+            priority: this.parameters.priority,
+            isPendingExpiration: this.state.expirationDate != undefined,
+            expirationDate: this.state.expirationDate,
+            queue: this.getQueueState(),
+            stats: this.getStats()
+        };
+    }
 }
\ No newline at end of file
@@ -0,0 +1,169 @@
+/**
+ * Types that a value of the schema can have. 'object' matches any object that is not an array, 'date' only matches valid Date instances
+ * @typedef {'string'|'number'|'boolean'|'bigint'|'symbol'|'function'|'object'|'array'|'date'|'any'} ValueType
+ */
+
+/**
+ * Schema of an argument of an event, or of a property of an object
+ * @typedef ValueSchema
+ * @property {String} name - Name of the argument, used in the validation messages. Not needed for properties
+ * @property {ValueType|ValueType[]} type - Expected type. A list accepts any of its types (default 'any')
+ * @property {Boolean} required - If the value can't be undefined or null (default false)
+ * @property {Object<string, ValueSchema>} properties - Schema of the properties, for objects
+ * @property {ValueSchema} items - Schema of the items, for arrays
+ */
+
+/**
+ * Arguments of each event, by event name
+ * @typedef {Object<string, ValueSchema[]>} EventSchema
+ */
+
+/**
+ * A value that does not match the schema
+ * @typedef SchemaIssue
+ * @property {String} path - Path of the value. Ex: 'order.items[0].price'
+ * @property {String} message - Description of the problem
+ */
+
+const VALUE_TYPES = ['string', 'number', 'boolean', 'bigint', 'symbol', 'function', 'object', 'array', 'date', 'any'];
+
+/**
+ * Throws if the schema has an invalid definition
+ * @param {EventSchema} schema - Schema to validate
+ */
+export function validateEventSchema(schema) {
+    if (schema == null || typeof schema != 'object') {
+        throw new Error('Invalid event schema. Expected an object with the arguments of each event');
+    }
+
+    for (const eventName of Object.keys(schema)) {
+        if (!Array.isArray(schema[eventName])) {
+            throw new Error(`Invalid schema for the event ${eventName}. Expected a list of arguments`);
+        }
+
+        schema[eventName].forEach((argumentSchema, index) => {
+            validateValueSchema(argumentSchema, `${eventName}[${index}]`);
+        });
+    }
+}
+
+/**
+ * Throws if the value schema has an invalid definition
+ * @param {ValueSchema} valueSchema
+ * @param {String} path - Location of the definition, used in the error message
+ */
+function validateValueSchema(valueSchema, path) {
+    if (valueSchema == null || typeof valueSchema != 'object') {
+        throw new Error(`Invalid schema at ${path}. Expected an object`);
+    }
+
+    for (const type of getSchemaTypes(valueSchema)) {
+        if (!VALUE_TYPES.includes(type)) {
+            throw new Error(`Invalid type at ${path}: ${type}`);
+        }
+    }
+
+    if (valueSchema.properties != undefined) {
+        for (const key of Object.keys(valueSchema.properties)) {
+            validateValueSchema(valueSchema.properties[key], `${path}.${key}`);
+        }
+    }
+
+    if (valueSchema.items != undefined) {
+        validateValueSchema(valueSchema.items, `${path}[]`);
+    }
+}
+
+/**
+ * Returns the problems of the emitted arguments according to the schema of the event
+ ** Extra arguments are reported, extra properties of objects are accepted
+ * @param {ValueSchema[]} argumentSchemas - Schema of each argument of the event
+ * @param {any[]} args - Emitted arguments
+ * @returns {SchemaIssue[]} Empty if the arguments are valid
+ */
+export function validateEventArgs(argumentSchemas, args) {
+    const issues = [];
+
+    argumentSchemas.forEach((argumentSchema, index) => {
+        const path = argumentSchema.name != undefined ? argumentSchema.name : `argument ${index}`;
+        validateValue(argumentSchema, args[index], path, issues);
+    });
+
+    for (let index = argumentSchemas.length; index < args.length; index++) {
+        issues.push({ path: `argument ${index}`, message: `Unexpected argument, the event has ${argumentSchemas.length}` });
+    }
+
+    return issues;
+}
+
+/**
+ * Adds the problems of the value to the list
+ * @param {ValueSchema} valueSchema
+ * @param {*} value
+ * @param {String} path - Path of the value
+ * @param {SchemaIssue[]} issues - List where the problems are added
+ */
+function validateValue(valueSchema, value, path, issues) {
+    if (value == undefined) {
+        if (valueSchema.required) issues.push({ path: path, message: 'Required value is missing' });
+        return;
+    }
+
+    const types = getSchemaTypes(valueSchema);
+    if (!types.some((type) => matchesType(type, value))) {
+        issues.push({ path: path, message: `Expected ${types.join(' or ')} but received ${describeType(value)}` });
+        return;
+    }
+
+    if (valueSchema.properties != undefined && typeof value == 'object' && !Array.isArray(value)) {
+        for (const key of Object.keys(valueSchema.properties)) {
+            validateValue(valueSchema.properties[key], value[key], `${path}.${key}`, issues);
+        }
+    }
+
+    if (valueSchema.items != undefined && Array.isArray(value)) {
+        value.forEach((item, index) => {
+            validateValue(valueSchema.items, item, `${path}[${index}]`, issues);
+        });
+    }
+}
+
+/**
+ * Returns the accepted types of a schema as a list
+ * @param {ValueSchema} valueSchema
+ * @returns {ValueType[]}
+ */
+function getSchemaTypes(valueSchema) {
+    if (valueSchema.type == undefined) return ['any'];
+    return Array.isArray(valueSchema.type) ? valueSchema.type : [valueSchema.type];
+}
+
+/**
+ * Returns true if the value is of the type
+ * @param {ValueType} type
+ * @param {*} value
+ */
+function matchesType(type, value) {
+    switch (type) {
+        case 'any':
+            return true;
+        case 'array':
+            return Array.isArray(value);
+        case 'date':
+            return value instanceof Date && !isNaN(value.getTime());
+        case 'object':
+            return typeof value == 'object' && !Array.isArray(value);
+        default:
+            return typeof value == type;
+    }
+}
+
+/**
+ * Returns the name of the type of a value, used in the validation messages
+ * @param {*} value
+ */
+function describeType(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value instanceof Date) return isNaN(value.getTime()) ? 'invalid date' : 'date';
+    return typeof value;
+}
@@ -0,0 +1,45 @@
+/**
+ * Returns a middleware that logs every emit to a logger once its callbacks finished
+ ** Emits with callbacks that threw are logged with the 'error' level
+ * @param {import('../Log/Logger.js').Logger} logger - Logger that receives the entries
+ * @param {Object} options - Additional settings (optional)
+ * @param {String} options.level - Level of the entries (default 'debug')
+ * @param {Boolean} options.includeArgs - If the emitted arguments are added to the metadata of the entry (default false)
+ * @returns {import('./EventEmitter.js').EmitMiddleware}
+ */
+export function createLoggingMiddleware(logger, options) {
+    const definedOptions = {
+        level: 'debug',
+        includeArgs: false
+    };
+
+    if (options != undefined) {
+        if (options.level != undefined) definedOptions.level = options.level;
+        if (options.includeArgs != undefined) definedOptions.includeArgs = options.includeArgs;
+    }
+
+    return {
+        after: (emission, result) => {
+            const elapsedMs = Date.now() - emission.startDate.getTime();
+
+            const metadata = {
+                mode: emission.mode,
+                callbacks: result.results.length,
+                elapsedMs: elapsedMs
+            };
+            if (definedOptions.includeArgs) metadata.args = emission.args;
+
+            let message = `Event ${emission.eventName} ${emission.isCanceled ? 'canceled' : 'emitted'}`;
+
+            if (result.hasErrors) {
+                const failedCount = result.results.filter((executionResult) => executionResult.status == 'rejected').length;
+                message += ` (${failedCount} callback(s) failed)`;
+            }
+
+            logger.log(message, {
+                level: result.hasErrors ? 'error' : definedOptions.level,
+                metadata: metadata
+            });
+        }
+    };
+}
@@ -0,0 +1,431 @@
+/**
+ * Arguments of each event, by event name. Ex: { orderPaid: [order: Order, paidAt: Date] }
+ */
+export type EventMap = Record<string, any[]>;
+
+/**
+ * Types that a value of the schema can have. 'object' matches any object that is not an array, 'date' only matches valid Date instances
+ */
+export type ValueType = 'string' | 'number' | 'boolean' | 'bigint' | 'symbol' | 'function' | 'object' | 'array' | 'date' | 'any';
+
+/**
+ * Schema of an argument of an event, or of a property of an object
+ */
+export interface ValueSchema {
+    /** Name of the argument, used in the validation messages. Not needed for properties */
+    name?: string;
+    /** Expected type. A list accepts any of its types (default 'any') */
+    type?: ValueType | ValueType[];
+    /** If the value can't be undefined or null (default false) */
+    required?: boolean;
+    /** Schema of the properties, for objects */
+    properties?: Record<string, ValueSchema>;
+    /** Schema of the items, for arrays */
+    items?: ValueSchema;
+}
+
+/**
+ * Arguments of each event, by event name
+ */
+export type EventSchema<Events extends EventMap = EventMap> = { [K in keyof Events]?: ValueSchema[] };
+
+/**
+ * A value that does not match the schema
+ */
+export interface SchemaIssue {
+    /** Path of the value. Ex: 'order.items[0].price' */
+    path: string;
+    /** Description of the problem */
+    message: string;
+}
+
+/**
+ * Details of emitted arguments that do not match the event schema
+ */
+export interface SchemaErrorDetails {
+    emitterName: string;
+    eventName: string;
+    args: any[];
+    issues: SchemaIssue[];
+}
+
+/**
+ * Details of an exception thrown by a callback
+ */
+export interface ListenerErrorDetails {
+    emitterName: string;
+    eventName: string;
+    executionId: number;
+}
+
+/**
+ * Expiration behavior after milliseconds
+ */
+export interface EventExpiration {
+    /** If the callback is not called after the defined milliseconds, the callback is automatically removed */
+    expireAfterMs: number;
+    /** Callback to invoke when the function is canceled due to expiration */
+    callback: () => void;
+}
+
+/**
+ * Callback execution settings
+ */
+export interface ExecutionParameters {
+    /** If true, the execution will be removed after being executed */
+    removeAfterExecute?: boolean;
+    /** If the callback is not called after the defined milliseconds, the callback is automatically removed */
+    expireAfterMs?: EventExpiration;
+    /** If true, the callback will only be executed if it is not currently being executed. Same as concurrency 'drop' */
+    onlyOneInstance?: boolean;
+    /** What to do when the callback is called while it is running. A number N allows up to N simultaneous runs, queueing the rest */
+    concurrency?: 'drop' | 'queue' | 'latest' | number;
+    /** The callback is only called after no calls happened for the defined milliseconds, with the arguments of the last call */
+    debounceMs?: number;
+    /** The callback is called at most once every defined milliseconds, the calls in between are skipped */
+    throttleMs?: number;
+    /** Callbacks with a higher priority are executed first (default 0) */
+    priority?: number;
+    /** Emissions of the history to deliver to the callback as soon as it is registered */
+    replay?: HistoryFilter;
+    /** If true, the EventContext of the emission is passed to the callback as the last argument (default false) */
+    receiveContext?: boolean;
+}
+
+/**
+ * Selection of the emissions of the history
+ */
+export interface HistoryFilter {
+    /** Only the last N emissions */
+    last?: number;
+    /** Only the emissions made at or after the date (or timestamp in milliseconds) */
+    since?: Date | number;
+}
+
+/**
+ * An emission kept in the history or as the last payload of a sticky event
+ */
+export interface EventRecord<Args extends any[] = any[]> {
+    eventName: string;
+    args: Args;
+    date: Date;
+    sequence: number;
+}
+
+/**
+ * Current runs and pending calls of a callback
+ */
+export interface ListenerQueueState {
+    concurrency: 'parallel' | 'drop' | 'queue' | 'latest';
+    maxConcurrent: number;
+    running: number;
+    pending: number;
+    isDebouncing: boolean;
+    totalSkipped: number;
+}
+
+export interface ListenerActions {
+    /** Call this function to remove the registered callback */
+    remove: () => void;
+    /** Name of the event where the callback was registered */
+    eventName: string;
+    /** ID of the registered callback. Used to request removal */
+    executionId: number;
+    /** Returns the current runs and pending calls of the callback */
+    getQueueState: () => ListenerQueueState;
+    /** Returns the usage statistics of the callback */
+    getStats: () => ListenerStats;
+}
+
+/**
+ * Usage statistics of a callback
+ */
+export interface ListenerStats {
+    /** Number of times the callback was run */
+    calls: number;
+    /** Number of runs that threw an exception */
+    errors: number;
+    /** Number of calls that were not executed (dropped, replaced, debounced or throttled) */
+    skipped: number;
+    /** Date of the last run, undefined if never run */
+    lastCallDate: Date | undefined;
+    /** Average milliseconds of the finished runs */
+    averageDurationMs: number;
+}
+
+/**
+ * Description of a registered callback
+ */
+export interface ListenerInfo {
+    eventName: string;
+    executionId: number;
+    priority: number;
+    /** If the callback will be removed when the expiration time passes without being called */
+    isPendingExpiration: boolean;
+    expirationDate: Date | undefined;
+    queue: ListenerQueueState;
+    stats: ListenerStats;
+}
+
+/**
+ * Warning reported when an event has more callbacks than the maximum
+ */
+export type MaxListenersWarning = Error & { emitterName: string, eventName: string, count: number };
+
+/**
+ * Result of the execution of a callback
+ */
+export interface ExecutionResult {
+    executionId: number;
+    eventName: string;
+    status: 'fulfilled' | 'rejected' | 'skipped';
+    value: any;
+    error: any;
+    /** Milliseconds the callback took to run (0 if skipped) */
+    durationMs: number;
+}
+
+/**
+ * Result of an awaited emit
+ */
+export interface EmitResult {
+    eventName: string;
+    results: ExecutionResult[];
+    hasErrors: boolean;
+    isHandled: boolean;
+    isPropagationStopped: boolean;
+    isCanceled: boolean;
+}
+
+/**
+ * Report of a fire-and-forget emit
+ */
+export interface EmitReport {
+    eventName: string;
+    totalExecuted: number;
+    isHandled: boolean;
+    isPropagationStopped: boolean;
+    isCanceled: boolean;
+}
+
+/**
+ * An emit going through the middlewares
+ */
+export interface Emission {
+    /** Name of the event to dispatch. Can be changed by the middlewares */
+    eventName: string;
+    /** Arguments to dispatch. Can be changed or replaced by the middlewares */
+    args: any[];
+    /** Emit method used: emitEvent, emitAsync or emitSerial */
+    mode: 'event' | 'async' | 'serial';
+    /** Date the emit started */
+    startDate: Date;
+    /** Cancel the emit, no callback is executed */
+    cancel: () => void;
+    isCanceled: boolean;
+}
+
+/**
+ * Cross-cutting behavior applied to every emit. before hooks run in the order they were added, after hooks in the reverse order
+ */
+export interface EmitMiddleware {
+    /** Called before validating and dispatching the event. Can modify the emission or cancel it */
+    before?: (emission: Emission) => void;
+    /** Called after all the callbacks finished. Awaited by emitAsync and emitSerial */
+    after?: (emission: Emission, result: EmitResult) => void | Promise<void>;
+}
+
+/**
+ * Settings of EventEmitter.waitFor()
+ */
+export interface WaitForOptions<Args extends any[] = any[]> {
+    /** Rejects if the event is not emitted in the defined milliseconds */
+    timeoutMs?: number;
+    /** Only an emission whose arguments make the filter return true resolves the promise */
+    filter?: (...args: Args) => boolean;
+    /** Rejects when the signal is aborted */
+    signal?: AbortSignal;
+}
+
+export interface EventEmitterParameters<Events extends EventMap = EventMap> {
+    /** Hook that receives the exceptions thrown by the callbacks. Without it and without 'error' listeners, they are reported with process.emitWarning */
+    onError?: (error: any, details: ListenerErrorDetails) => void;
+    /** Arguments of each event. The events not defined in the schema are not validated */
+    schema?: EventSchema<Events>;
+    /** 'strict' (default) throws on invalid arguments, 'lenient' reports them to onSchemaError and dispatches the event */
+    schemaMode?: 'strict' | 'lenient';
+    /** Hook that receives the invalid arguments in lenient mode */
+    onSchemaError?: (error: Error & { issues: SchemaIssue[] }, details: SchemaErrorDetails) => void;
+    /** Number of callbacks an event can have before a possible leak is reported (default 10, 0 disables it) */
+    maxListeners?: number;
+    /** Hook that receives the leak warnings instead of process.emitWarning */
+    onMaxListenersExceeded?: (warning: MaxListenersWarning) => void;
+    /** Names (or patterns) of the events whose last payload is delivered to the callbacks registered later */
+    stickyEvents?: string[];
+    /** Number of emissions kept per event name, that new callbacks can replay (default 0, disabled) */
+    historySize?: number;
+}
+
+/**
+ * Returns true if the event name matches the pattern
+ */
+export function matchesEventPattern(pattern: string, eventName: string): boolean;
+
+/**
+ * Returns a middleware that logs every emit to a logger once its callbacks finished
+ */
+export function createLoggingMiddleware(logger: { log(message: any, params?: { level?: string, metadata?: object }): void }, options?: { level?: string, includeArgs?: boolean }): EmitMiddleware;
+
+/**
+ * Context of an emitted event, passed as the last argument to the callbacks registered with receiveContext
+ */
+export class EventContext {
+    eventName: string;
+    propagationStopped: boolean;
+    handled: boolean;
+    replayed: boolean;
+    constructor(eventName: string, isReplay?: boolean);
+    stopPropagation(): void;
+    markHandled(): void;
+    getEventName(): string;
+    isPropagationStopped(): boolean;
+    isHandled(): boolean;
+    /** Returns true if the emission is a past one delivered to a callback registered later */
+    isReplay(): boolean;
+}
+
+type EventName<Events extends EventMap> = keyof Events & string;
+
+/**
+ * Callback registered on an event, with its settings and current state. Not exported, reachable through EventEmitter.events
+ */
+declare class Execution {
+    eventInstance: Event;
+    executionId: number;
+    parameters: {
+        expirationCallback: { enabled: boolean, timeMs: number, callback: () => void };
+        removeAfterExecute: boolean;
+        onlyOneExecutionAtATime: boolean;
+        concurrency: 'parallel' | 'drop' | 'queue' | 'latest';
+        maxConcurrent: number;
+        debounceMs: number;
+        throttleMs: number;
+        priority: number;
+        receiveContext: boolean;
+    };
+    state: {
+        isExecuting: boolean;
+        hasExecuted: boolean;
+        expirationTimeout: any;
+        runningCount: number;
+        pendingCalls: { args: any[], resolve: (result: ExecutionResult | Promise<ExecutionResult>) => void }[];
+        debouncedCall: { args: any[], resolve: (result: ExecutionResult | Promise<ExecutionResult>) => void } | undefined;
+        debounceTimeout: any;
+        lastThrottleTime: number;
+        totalSkipped: number;
+        expirationDate: Date | undefined;
+        stats: { calls: number, completedCalls: number, errors: number, lastCallDate: Date | undefined, totalDurationMs: number };
+    };
+    callbackFunction: (...args: any[]) => any;
+    constructor(event: Event, id: number, callback: (...args: any[]) => any, parameters?: ExecutionParameters);
+    activateAutomaticCancellation(): void;
+    stopAutomaticCancellation(): void;
+    getID(): number;
+    getPriority(): number;
+    receivesContext(): boolean;
+    cancel(): void;
+    clearPendingCalls(): void;
+    execute(...args: any[]): Promise<ExecutionResult>;
+    debounce(args: any[]): Promise<ExecutionResult>;
+    schedule(args: any[]): Promise<ExecutionResult>;
+    createSkippedResult(): ExecutionResult;
+    run(args: any[]): Promise<ExecutionResult>;
+    isExecuting(): boolean;
+    getQueueState(): ListenerQueueState;
+    getStats(): ListenerStats;
+    getInfo(): ListenerInfo;
+}
+
+/**
+ * Event name (or pattern) with its registered callbacks. Not exported, reachable through EventEmitter.events
+ */
+declare class Event {
+    emitterInstance: EventEmitter<any>;
+    eventName: string;
+    eventId: number;
+    executions: Execution[];
+    executionCounter: number;
+    hasWarnedMaxListeners: boolean;
+    constructor(emitter: EventEmitter<any>, eventName: string, eventId: number);
+    addExecution(callbackFunction: (...args: any[]) => any, parameters?: ExecutionParameters): number;
+    execute(context: EventContext, ...args: any[]): Promise<ExecutionResult[]>;
+    getExecutions(): Execution[];
+    getExecution(id: number): Execution | undefined;
+    removeExecution(id: number): void;
+    clearExecutions(): void;
+    getEventName(): string;
+    isPattern(): boolean;
+    getID(): number;
+    getTotalExecutions(): number;
+}
+
+/**
+ * Instance of a new event manager
+ ** The type parameter describes the arguments of each event, so the callbacks and emits are checked by the editor
+ */
+export class EventEmitter<Events extends EventMap = EventMap> {
+    nameId: string;
+    /** Registered events, with their callbacks */
+    events: Event[];
+    eventIds: number;
+    onError: ((error: any, details: ListenerErrorDetails) => void) | undefined;
+    schema: EventSchema<Events> | undefined;
+    schemaMode: 'strict' | 'lenient';
+    onSchemaError: EventEmitterParameters<Events>['onSchemaError'];
+    middlewares: EmitMiddleware[];
+    maxListeners: number;
+    onMaxListenersExceeded: ((warning: MaxListenersWarning) => void) | undefined;
+    stickyEvents: string[];
+    stickyRecords: Map<string, EventRecord>;
+    historySize: number;
+    history: Map<string, EventRecord[]>;
+    recordSequence: number;
+
+    constructor(name?: string, parameters?: EventEmitterParameters<Events>);
+
+    /** With receiveContext, the callback also receives the EventContext of the emission as the last argument */
+    addEvent<K extends EventName<Events>>(eventName: K, callback: (...args: [...Events[K], EventContext]) => any, parameters: ExecutionParameters & { receiveContext: true }): ListenerActions;
+    addEvent<K extends EventName<Events>>(eventName: K, callback: (...args: Events[K]) => any, parameters?: ExecutionParameters): ListenerActions;
+    /** Callbacks registered with a pattern receive the name of the emitted event as the first argument */
+    addEvent(eventName: string, callback: (...args: any[]) => any, parameters?: ExecutionParameters): ListenerActions;
+
+    emitEvent<K extends EventName<Events>>(eventName: K, ...args: Events[K]): EmitReport;
+    emitAsync<K extends EventName<Events>>(eventName: K, ...args: Events[K]): Promise<EmitResult>;
+    emitSerial<K extends EventName<Events>>(eventName: K, ...args: Events[K]): Promise<EmitResult>;
+
+    use(middleware: EmitMiddleware | ((emission: Emission) => void)): { remove: () => void };
+
+    waitFor<K extends EventName<Events>>(eventName: K, options?: WaitForOptions<Events[K]>): Promise<Events[K]>;
+    waitFor(eventName: string, options?: WaitForOptions): Promise<any[]>;
+
+    on<K extends EventName<Events>>(eventName: K, options?: { signal?: AbortSignal }): AsyncIterableIterator<Events[K]>;
+    on(eventName: string, options?: { signal?: AbortSignal }): AsyncIterableIterator<any[]>;
+
+    validateEvent(eventName: string, args: any[]): SchemaIssue[];
+    getEventSchema(eventName: string): ValueSchema[] | undefined;
+
+    getHistory<K extends EventName<Events>>(eventName: K, filter?: HistoryFilter): EventRecord<Events[K]>[];
+    getHistory(eventName: string, filter?: HistoryFilter): EventRecord[];
+    clearHistory(eventName?: string): void;
+    clearSticky(eventName?: string): void;
+
+    listenerCount(eventName?: string): number;
+    eventNames(): string[];
+    getListeners(eventName?: string): ListenerInfo[];
+    setMaxListeners(maxListeners: number): void;
+    getMaxListeners(): number;
+
+    removeEvent(eventName: string): void;
+    removeExecution(eventName: string, executionId: number): void;
+    removeAllEvents(): void;
+}
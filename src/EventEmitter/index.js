@@ -1,5 +1,9 @@
-import { EventEmitter } from "./EventEmitter.js";
+import { EventEmitter, EventContext, matchesEventPattern } from "./EventEmitter.js";
+import { createLoggingMiddleware } from "./Middlewares.js";
 
 export {
-    EventEmitter
+    EventEmitter,
+    EventContext,
+    matchesEventPattern,
+    createLoggingMiddleware
 }
\ No newline at end of file
@@ -0,0 +1,170 @@
+import { formatDateToString } from "../Date/FormatDates.js";
+import { formatErrorText, safeStringify } from "./Serialize.js";
+
+/**
+ * @typedef {import('./Logger.js').LogEntry} LogEntry
+ * @typedef {import('./Logger.js').Logger} Logger
+ */
+
+/**
+ * ANSI codes of the colors accepted in the console format
+ */
+export const AnsiColors = {
+    black: 30,
+    red: 31,
+    green: 32,
+    yellow: 33,
+    blue: 34,
+    magenta: 35,
+    cyan: 36,
+    white: 37,
+    gray: 90
+};
+
+/**
+ * Colors of each level when the console format does not define them
+ */
+const DEFAULT_LEVEL_COLORS = {
+    trace: 'gray',
+    debug: 'blue',
+    info: 'green',
+    warn: 'yellow',
+    error: 'red',
+    fatal: 'magenta'
+};
+
+/**
+ * Template of the console lines when the console format does not define one
+ */
+export const DEFAULT_CONSOLE_TEMPLATE = '%hour%:%minute%:%second% %level% [%logger%] %context%%message%';
+
+/**
+ * Console output settings
+ * @typedef ConsoleFormatOptions
+ * @property {String} template - Template of each line. Accepts the date tokens of formatDateToString (%year%, %month%, %day%, %hour%, %minute%, %second%, %millis%) and %level%, %logger%, %context% and %message%
+ * @property {Boolean|'auto'} colors - If the level and logger names are colored. 'auto' colors only when stdout is a TTY and NO_COLOR is not set (default 'auto')
+ * @property {Object<String, String>} levelColors - Color of each level, by level name
+ * @property {Object<String, String>} loggerColors - Color of each logger, by logger name
+ */
+
+/**
+ * Throws if the console format uses an unknown color
+ * @param {ConsoleFormatOptions} options
+ */
+export function validateConsoleFormat(options) {
+    const colorNames = Object.values({ ...options.levelColors }).concat(Object.values({ ...options.loggerColors }));
+
+    for (const colorName of colorNames) {
+        if (AnsiColors[colorName] == undefined) {
+            throw new Error(`Invalid color: ${colorName}`);
+        }
+    }
+}
+
+/**
+ * Returns true if the console output should be colored
+ * @param {Boolean|'auto'} colors - Colors option of the console format
+ */
+export function shouldUseColors(colors) {
+    if (colors === true) return true;
+    if (colors === false) return false;
+
+    const isColorDisabled = process.env.NO_COLOR != undefined && process.env.NO_COLOR != '';
+    return process.stdout.isTTY == true && !isColorDisabled;
+}
+
+/**
+ * Returns the entry formatted with the template of the console format
+ * @param {LogEntry} entry - Entry to format
+ * @param {Logger} logger - Logger that created the entry
+ * @param {ConsoleFormatOptions} options - Console format
+ * @param {Boolean} useColors - If the ANSI colors should be applied
+ */
+export function formatConsoleLine(entry, logger, options, useColors) {
+    const template = options.template != undefined ? options.template : DEFAULT_CONSOLE_TEMPLATE;
+    const levelColors = { ...DEFAULT_LEVEL_COLORS, ...options.levelColors };
+    const loggerColors = { ...options.loggerColors };
+
+    const replacements = {
+        '%level%': colorize(entry.level.toUpperCase(), levelColors[entry.level], useColors),
+        '%logger%': logger.getLoggerSequence().map(name => colorize(name, loggerColors[name], useColors)).join('->'),
+        '%context%': formatTextContext(entry),
+        '%message%': formatTextMessage(entry)
+    };
+
+    // The date tokens are replaced first, so the message content is never interpreted as a token
+    return formatDateToString(entry.date, template).replace(/%level%|%logger%|%context%|%message%/g, match => replacements[match]);
+}
+
+/**
+ * Wraps the text with the ANSI code of the color
+ * @param {String} text
+ * @param {String} colorName - Name of the color, the text is returned as is if undefined
+ * @param {Boolean} useColors
+ */
+function colorize(text, colorName, useColors) {
+    if (!useColors || colorName == undefined || AnsiColors[colorName] == undefined) return text;
+    return `\x1b[${AnsiColors[colorName]}m${text}\x1b[0m`;
+}
+
+/**
+ * Returns the message of the entry as plain text, with the metadata appended if present
+ * @param {LogEntry} entry
+ */
+export function formatTextMessage(entry) {
+    let content = '';
+    if (entry.message instanceof Error) {
+        content = formatErrorText(entry.message);
+    } else if (typeof entry.message == 'object') {
+        content = safeStringify(entry.message);
+    } else {
+        content = String(entry.message);
+    }
+
+    if (entry.metadata != undefined) {
+        content += ` ${safeStringify(entry.metadata)}`;
+    }
+
+    return content;
+}
+
+/**
+ * Returns the context fields of the entry as {key=value ...} followed by a space, or an empty string if there is no context
+ * @param {LogEntry} entry
+ */
+export function formatTextContext(entry) {
+    if (entry.context == undefined || Object.keys(entry.context).length == 0) return '';
+
+    const fields = Object.entries(entry.context).map(([key, value]) => {
+        if (typeof value == 'object') {
+            return `${key}=${safeStringify(value)}`;
+        }
+        return `${key}=${value}`;
+    });
+
+    return `{${fields.join(' ')}} `;
+}
+
+/**
+ * Returns the entry as a single JSON line
+ * @param {LogEntry} entry
+ * @param {Logger} logger
+ */
+export function formatJsonLine(entry, logger) {
+    const jsonEntry = {
+        timestamp: entry.date.toISOString(),
+        logger: logger.getLoggerSequence(),
+        level: entry.level,
+        message: entry.message
+    };
+
+    if (entry.context != undefined && Object.keys(entry.context).length != 0) {
+        jsonEntry.context = entry.context;
+    }
+
+    if (entry.metadata != undefined) {
+        jsonEntry.metadata = entry.metadata;
+    }
+
+    return safeStringify(jsonEntry);
+}
@@ -0,0 +1,30 @@
+/**
+ * Available log levels, ordered by severity
+ */
+export const LogLevels = {
+    trace: 10,
+    debug: 20,
+    info: 30,
+    warn: 40,
+    error: 50,
+    fatal: 60
+};
+
+/**
+ * Throws if the level is not one of the known log levels
+ * @param {String} level - Level to validate
+ */
+export function validateLogLevel(level) {
+    if (!Object.prototype.hasOwnProperty.call(LogLevels, level)) {
+        throw new Error(`Invalid log level: ${level}`);
+    }
+}
+
+/**
+ * Returns true if a message with the level should be written given a minimum level
+ * @param {String} level - Level of the message
+ * @param {String} minLevel - Minimum level accepted
+ */
+export function isLevelEnabled(level, minLevel) {
+    return LogLevels[level] >= LogLevels[minLevel];
+}
@@ -0,0 +1,331 @@
+import path from "path";
+import fs from "fs";
+import zlib from "zlib";
+import { pipeline } from "stream/promises";
+
+/**
+ * Retention policy of the log date folders
+ ** Only the YYYYMMDD folders directly inside the root directory are considered, as created by the '{date}/...' file name templates
+ * @typedef RetentionPolicy
+ * @property {Number} maxDays - Number of days (including the current one) whose folders are kept
+ * @property {Number} maxTotalSizeBytes - Maximum size of all the date folders together. The oldest are deleted first
+ */
+
+/**
+ * Returns the paths used when rotating a file
+ * @param {String} filePath - Path of the active log file
+ */
+function getRotationNames(filePath) {
+    const extension = path.extname(filePath);
+    const stem = path.basename(filePath, extension);
+
+    return {
+        directory: path.dirname(filePath),
+        /**
+         * Returns the path of the rotated file with the index
+         * @param {Number} index
+         * @param {Boolean} isCompressed
+         */
+        rotatedPath: (index, isCompressed) => path.join(path.dirname(filePath), `${stem}.${index}${extension}${isCompressed ? '.gz' : ''}`),
+        pattern: new RegExp(`^${escapeRegExp(stem)}\\.(\\d+)${escapeRegExp(extension)}(\\.gz)?$`)
+    };
+}
+
+/**
+ * Returns the rotated files of the directory, from the highest index to the lowest
+ * @param {ReturnType<typeof getRotationNames>} names - Paths used when rotating the file
+ * @param {String[]} fileNames - Names of the files of the directory
+ * @returns {{ index: Number, isCompressed: Boolean }[]}
+ */
+function getRotatedFiles(names, fileNames) {
+    const rotatedFiles = [];
+    for (const fileName of fileNames) {
+        const match = fileName.match(names.pattern);
+        if (match) {
+            rotatedFiles.push({ index: parseInt(match[1]), isCompressed: match[2] != undefined });
+        }
+    }
+
+    // Start from the highest index so no file is overwritten
+    return rotatedFiles.sort((a, b) => b.index - a.index);
+}
+
+/**
+ * Moves the rotated files one index up (name.1.log -> name.2.log) and the active file to index 1
+ ** The files that would go over the maximum are deleted, so a rotation never renames more than maxFiles files
+ * @param {String} filePath - Path of the active log file
+ * @param {Number} maxFiles - Maximum number of rotated files kept (default no limit)
+ * @returns {String} Path where the active file was moved to
+ */
+function shiftRotatedFiles(filePath, maxFiles) {
+    const names = getRotationNames(filePath);
+
+    for (const rotatedFile of getRotatedFiles(names, fs.readdirSync(names.directory))) {
+        const rotatedPath = names.rotatedPath(rotatedFile.index, rotatedFile.isCompressed);
+
+        if (maxFiles != undefined && rotatedFile.index >= maxFiles) {
+            fs.unlinkSync(rotatedPath);
+        } else {
+            fs.renameSync(rotatedPath, names.rotatedPath(rotatedFile.index + 1, rotatedFile.isCompressed));
+        }
+    }
+
+    const firstRotatedPath = names.rotatedPath(1, false);
+    fs.renameSync(filePath, firstRotatedPath);
+
+    return firstRotatedPath;
+}
+
+/**
+ * Moves the rotated files one index up and the active file to index 1, without blocking
+ * @param {String} filePath - Path of the active log file
+ * @param {Number} maxFiles - Maximum number of rotated files kept (default no limit)
+ * @returns {Promise<String>} Path where the active file was moved to
+ */
+async function shiftRotatedFilesAsync(filePath, maxFiles) {
+    const names = getRotationNames(filePath);
+
+    for (const rotatedFile of getRotatedFiles(names, await fs.promises.readdir(names.directory))) {
+        const rotatedPath = names.rotatedPath(rotatedFile.index, rotatedFile.isCompressed);
+
+        if (maxFiles != undefined && rotatedFile.index >= maxFiles) {
+            await fs.promises.unlink(rotatedPath);
+        } else {
+            await fs.promises.rename(rotatedPath, names.rotatedPath(rotatedFile.index + 1, rotatedFile.isCompressed));
+        }
+    }
+
+    const firstRotatedPath = names.rotatedPath(1, false);
+    await fs.promises.rename(filePath, firstRotatedPath);
+
+    return firstRotatedPath;
+}
+
+/**
+ * Rotates the log file, blocking until it is done
+ * @param {String} filePath - Path of the active log file
+ * @param {Boolean} shouldCompress - If the rotated file should be compressed with gzip
+ * @param {Number} maxFiles - Maximum number of rotated files kept, the oldest are deleted (default no limit)
+ */
+export function rotateFileSync(filePath, shouldCompress, maxFiles) {
+    if (!fs.existsSync(filePath)) return;
+
+    const rotatedPath = shiftRotatedFiles(filePath, maxFiles);
+
+    if (shouldCompress) {
+        fs.writeFileSync(`${rotatedPath}.gz`, zlib.gzipSync(fs.readFileSync(rotatedPath)));
+        fs.unlinkSync(rotatedPath);
+    }
+}
+
+/**
+ * Rotates the log file without blocking
+ * @param {String} filePath - Path of the active log file
+ * @param {Boolean} shouldCompress - If the rotated file should be compressed with gzip
+ * @param {Number} maxFiles - Maximum number of rotated files kept, the oldest are deleted (default no limit)
+ */
+export async function rotateFile(filePath, shouldCompress, maxFiles) {
+    if (!(await pathExists(filePath))) return;
+
+    const rotatedPath = await shiftRotatedFilesAsync(filePath, maxFiles);
+
+    if (shouldCompress) {
+        await pipeline(fs.createReadStream(rotatedPath), zlib.createGzip(), fs.createWriteStream(`${rotatedPath}.gz`));
+        await fs.promises.unlink(rotatedPath);
+    }
+}
+
+/**
+ * Deletes the date folders (YYYYMMDD) of the root directory that exceed the retention policy
+ ** The folder of the current day is never deleted
+ * @param {String} rootDirectory - Directory that contains the date folders
+ * @param {RetentionPolicy} policy - Retention policy
+ * @param {Date} now - Reference date (default current date)
+ * @returns {String[]} Paths of the deleted folders
+ */
+export function applyRetention(rootDirectory, policy, now) {
+    if (policy == undefined || !fs.existsSync(rootDirectory)) return [];
+
+    const retention = getRetentionDates(policy, now);
+    let dateFolders = getPastDateFolders(fs.readdirSync(rootDirectory, { withFileTypes: true }), retention.today);
+
+    const deletedFolders = [];
+    const deleteFolder = (folder) => {
+        fs.rmSync(path.join(rootDirectory, folder), { recursive: true, force: true });
+        deletedFolders.push(path.join(rootDirectory, folder));
+    };
+
+    if (retention.oldestKept != undefined) {
+        dateFolders.filter(folder => folder < retention.oldestKept).forEach(deleteFolder);
+        dateFolders = dateFolders.filter(folder => folder >= retention.oldestKept);
+    }
+
+    if (policy.maxTotalSizeBytes != undefined) {
+        const todaySize = getDirectorySize(path.join(rootDirectory, retention.today));
+        const folderSizes = dateFolders.map(folder => ({ folder: folder, size: getDirectorySize(path.join(rootDirectory, folder)) }));
+
+        getFoldersOverSize(folderSizes, todaySize, policy.maxTotalSizeBytes).forEach(deleteFolder);
+    }
+
+    return deletedFolders;
+}
+
+/**
+ * Deletes the date folders (YYYYMMDD) of the root directory that exceed the retention policy, without blocking
+ ** The folder of the current day is never deleted
+ * @param {String} rootDirectory - Directory that contains the date folders
+ * @param {RetentionPolicy} policy - Retention policy
+ * @param {Date} now - Reference date (default current date)
+ * @returns {Promise<String[]>} Paths of the deleted folders
+ */
+export async function applyRetentionAsync(rootDirectory, policy, now) {
+    if (policy == undefined || !(await pathExists(rootDirectory))) return [];
+
+    const retention = getRetentionDates(policy, now);
+    let dateFolders = getPastDateFolders(await fs.promises.readdir(rootDirectory, { withFileTypes: true }), retention.today);
+
+    const deletedFolders = [];
+    const deleteFolder = async (folder) => {
+        await fs.promises.rm(path.join(rootDirectory, folder), { recursive: true, force: true });
+        deletedFolders.push(path.join(rootDirectory, folder));
+    };
+
+    if (retention.oldestKept != undefined) {
+        for (const folder of dateFolders.filter(folder => folder < retention.oldestKept)) {
+            await deleteFolder(folder);
+        }
+        dateFolders = dateFolders.filter(folder => folder >= retention.oldestKept);
+    }
+
+    if (policy.maxTotalSizeBytes != undefined) {
+        const todaySize = await getDirectorySizeAsync(path.join(rootDirectory, retention.today));
+        const folderSizes = [];
+        for (const folder of dateFolders) {
+            folderSizes.push({ folder: folder, size: await getDirectorySizeAsync(path.join(rootDirectory, folder)) });
+        }
+
+        for (const folder of getFoldersOverSize(folderSizes, todaySize, policy.maxTotalSizeBytes)) {
+            await deleteFolder(folder);
+        }
+    }
+
+    return deletedFolders;
+}
+
+/**
+ * Returns the folder name of the current day and of the oldest day kept by maxDays
+ * @param {RetentionPolicy} policy - Retention policy
+ * @param {Date} now - Reference date (default current date)
+ * @returns {{ today: String, oldestKept: String | undefined }}
+ */
+function getRetentionDates(policy, now) {
+    const referenceDate = now != undefined ? now : new Date();
+
+    let oldestKept;
+    if (policy.maxDays != undefined) {
+        oldestKept = formatFolderDate(new Date(referenceDate.getFullYear(), referenceDate.getMonth(), referenceDate.getDate() - (policy.maxDays - 1)));
+    }
+
+    return { today: formatFolderDate(referenceDate), oldestKept: oldestKept };
+}
+
+/**
+ * Returns the names of the date folders before the current day, from the oldest to the newest
+ * @param {fs.Dirent[]} dirents - Entries of the root directory
+ * @param {String} today - Folder name of the current day
+ */
+function getPastDateFolders(dirents, today) {
+    return dirents
+        .filter(dirent => dirent.isDirectory() && /^\d{8}$/.test(dirent.name) && dirent.name < today)
+        .map(dirent => dirent.name)
+        .sort();
+}
+
+/**
+ * Returns the oldest folders to delete so the total size fits the maximum
+ * @param {{ folder: String, size: Number }[]} folderSizes - Past date folders from the oldest to the newest
+ * @param {Number} todaySize - Size of the folder of the current day, which is never deleted
+ * @param {Number} maxTotalSizeBytes - Maximum size of all the date folders together
+ * @returns {String[]}
+ */
+function getFoldersOverSize(folderSizes, todaySize, maxTotalSizeBytes) {
+    let totalSize = folderSizes.reduce((total, folderSize) => total + folderSize.size, todaySize);
+
+    const foldersToDelete = [];
+    for (const folderSize of folderSizes) {
+        if (totalSize <= maxTotalSizeBytes) break;
+
+        foldersToDelete.push(folderSize.folder);
+        totalSize -= folderSize.size;
+    }
+    return foldersToDelete;
+}
+
+/**
+ * Returns the total size in bytes of the files inside the directory
+ * @param {String} directory
+ */
+function getDirectorySize(directory) {
+    if (!fs.existsSync(directory)) return 0;
+
+    let size = 0;
+    for (const dirent of fs.readdirSync(directory, { withFileTypes: true })) {
+        const direntPath = path.join(directory, dirent.name);
+        if (dirent.isDirectory()) {
+            size += getDirectorySize(direntPath);
+        } else {
+            size += fs.statSync(direntPath).size;
+        }
+    }
+    return size;
+}
+
+/**
+ * Returns the total size in bytes of the files inside the directory, without blocking
+ * @param {String} directory
+ * @returns {Promise<Number>}
+ */
+async function getDirectorySizeAsync(directory) {
+    if (!(await pathExists(directory))) return 0;
+
+    let size = 0;
+    for (const dirent of await fs.promises.readdir(directory, { withFileTypes: true })) {
+        const direntPath = path.join(directory, dirent.name);
+        if (dirent.isDirectory()) {
+            size += await getDirectorySizeAsync(direntPath);
+        } else {
+            size += (await fs.promises.stat(direntPath)).size;
+        }
+    }
+    return size;
+}
+
+/**
+ * Returns true if the path exists, without blocking
+ * @param {String} filePath
+ * @returns {Promise<Boolean>}
+ */
+async function pathExists(filePath) {
+    try {
+        await fs.promises.access(filePath);
+        return true;
+    } catch (ex) {
+        return false;
+    }
+}
+
+/**
+ * Returns the date in the folder format yearmonthday
+ * @param {Date} date
+ */
+function formatFolderDate(date) {
+    return `${date.getFullYear()}${(date.getMonth() + 1).toString().padStart(2, '0')}${date.getDate().toString().padStart(2, '0')}`;
+}
+
+/**
+ * Escapes the special characters of a string to use it in a regular expression
+ * @param {String} text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
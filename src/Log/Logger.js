@@ -1,21 +1,108 @@
 import path from "path";
-import fs from "fs";
+import { AsyncLocalStorage } from "async_hooks";
+import { isLevelEnabled, validateLogLevel } from "./LogLevels.js";
+import { ConsoleTransport, FileTransport, LogTransport } from "./Transports.js";
+import { Redactor } from "./Redaction.js";
+import { validateConsoleFormat } from "./Formatters.js";
+import { TraceLog } from "./TraceLog.js";
+
+/**
+ * @typedef LogEntry
+ * @property {Date} date - Date the entry was created
+ * @property {String} level - Level of the entry
+ * @property {*} message - Message as passed to the logger
+ * @property {Object} metadata - Optional structured data attached to the entry
+ * @property {Object} context - Key/value fields of the logger and of the running context
+ */
+
+/**
+ * Stores the temporary context defined with Logger.runWithContext()
+ * @type {AsyncLocalStorage<Object>}
+ */
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Maximum number of child loggers kept per logger for the TraceLog type paths. The least recently used is dropped and recreated when needed
+ */
+const MAX_TYPE_PATH_LOGGERS = 100;
 
 export class Logger {
     #name;
-    #logDirectory;
+    #logDirectory = '';
     #parentLogger;
     #enableFileLogging = true;
     #enableConsoleLogging = true;
 
+    /**
+     * Minimum level this logger writes. If not defined, it is inherited from the parent logger
+     * @type {String}
+     */
+    #minLevel;
+
+    /**
+     * Format of the entries written to the log file. If not defined, it is inherited from the parent logger
+     * @type {'text'|'json'}
+     */
+    #fileFormat;
+
+    /**
+     * Destinations of the entries. If not defined, the transports of the parent logger are used
+     * @type {LogTransport[]}
+     */
+    #transports;
+
+    /**
+     * If the default file transport of this logger writes asynchronously
+     */
+    #asyncFileWriting = false;
+
+    /**
+     * Template of the log file path, relative to the root directory. If not defined, it is inherited from the parent logger
+     * @type {String}
+     */
+    #fileNameTemplate;
+
+    /**
+     * Key/value fields added to every entry of this logger and its children
+     * @type {Object}
+     */
+    #context = {};
+
+    /**
+     * Removes sensitive data before the entries reach the transports. If not defined, it is inherited from the parent logger
+     * @type {Redactor}
+     */
+    #redactor;
+
+    /**
+     * Console output settings, merged with the settings of the parent logger
+     * @type {import('./Formatters.js').ConsoleFormatOptions}
+     */
+    #consoleFormat;
+
+    /**
+     * Child loggers used to write the messages of a TraceLog, by type path, from the least to the most recently used
+     * @type {Map<String, Logger>}
+     */
+    #typePathLoggers = new Map();
+
     /**
      * Instantiate a Logger
      * @param {String} name - Name for log recognition and file name generation
      * @param {Object} params - Additional parameters for console display
      * @param {Boolean} params.shouldWriteToFile - If by default it should write to the log file
      * @param {Boolean} params.shouldShowInConsole - If by default it should show the log message in the console
-     * @param {String} params.logDirectoryPath - The root path where logs will be saved (C://Windows/Users/Logs...).
+     * @param {String} params.logDirectoryPath - The root path where logs will be saved (C://Windows/Users/Logs...). Relative paths are resolved from the working directory, or from the root directory of the parent logger if there is one
+     * @param {String} params.fileNameTemplate - Template of the log file path inside the root directory, accepting the tokens {date}, {year}, {month}, {day}, {name} and {sequence}. If not defined, it is inherited from the parent logger (default '{date}/{name}.log')
+     * @param {Object} params.context - Key/value fields added to every entry of this logger and its children, merged with the context of the parent logger
+     * @param {Redactor | import('./Redaction.js').RedactionOptions} params.redaction - Rules to remove sensitive data from the messages, metadata and context before any output. If not defined, it is inherited from the parent logger
+     * @param {import('./Formatters.js').ConsoleFormatOptions} params.consoleFormat - Template and colors of the console lines. The settings not defined are inherited from the parent logger
      * @param {Logger} params.parentLogger - Sets the parent logger of this new logger, using its logger settings.
+     * @param {'trace'|'debug'|'info'|'warn'|'error'|'fatal'} params.minLevel - Minimum level of the messages that will be logged. If not defined, it is inherited from the parent logger (default 'trace')
+     * @param {'text'|'json'} params.fileFormat - Format of the log file entries. 'json' writes one JSON object per line (NDJSON). If not defined, it is inherited from the parent logger (default 'text')
+     * @param {LogTransport[]} params.transports - Destinations of the log entries. If not defined, the transports of the parent logger are used, or a console and a file transport if there is no parent. When defined, they replace the inherited ones
+     * @param {Boolean} params.asyncFileWriting - If the default file transport should queue the entries and write them in batches. Call flush() or close() to make sure they are written (default false).
+     * Only applies to the default transports of a root logger, it can't be combined with transports or parentLogger: child loggers use the transports of their parent, and explicit transports are configured with new FileTransport({ async: true })
      */
     constructor(name, params) {
         this.#name = name;
@@ -23,44 +110,104 @@ export class Logger {
         if (params != undefined) {
             if (params.shouldWriteToFile != undefined) this.#enableFileLogging = params.shouldWriteToFile;
             if (params.shouldShowInConsole != undefined) this.#enableConsoleLogging = params.shouldShowInConsole;
-            if (params.logDirectoryPath != undefined && params.logDirectoryPath != '') {
-                this.#logDirectory = params.logDirectoryPath;
+            if (params.logDirectoryPath != undefined) this.#logDirectory = params.logDirectoryPath;
 
-                if (this.#logDirectory[0] == './') this.#logDirectory.substring(2, this.#logDirectory.length - 1);
-            } else {
-                this.#logDirectory = '';
+            if (params.fileNameTemplate != undefined) {
+                if (params.fileNameTemplate.trim() == '') {
+                    throw new Error('The file name template cannot be empty');
+                }
+                this.#fileNameTemplate = params.fileNameTemplate;
             }
 
             if (params.parentLogger != undefined) this.#parentLogger = params.parentLogger;
+            if (params.context != undefined) this.#context = { ...params.context };
+            if (params.redaction != undefined) this.#redactor = params.redaction instanceof Redactor ? params.redaction : new Redactor(params.redaction);
+
+            if (params.consoleFormat != undefined) {
+                validateConsoleFormat(params.consoleFormat);
+                this.#consoleFormat = { ...params.consoleFormat };
+            }
+
+            if (params.minLevel != undefined) {
+                validateLogLevel(params.minLevel);
+                this.#minLevel = params.minLevel;
+            }
+
+            if (params.fileFormat != undefined) {
+                if (params.fileFormat != 'text' && params.fileFormat != 'json') {
+                    throw new Error(`Invalid file format: ${params.fileFormat}`);
+                }
+                this.#fileFormat = params.fileFormat;
+            }
+
+            if (params.asyncFileWriting != undefined) {
+                if (params.transports != undefined || params.parentLogger != undefined) {
+                    throw new Error('asyncFileWriting only applies to the default transports of a root logger. Use new FileTransport({ async: true }) in the transports of the root logger instead');
+                }
+                this.#asyncFileWriting = params.asyncFileWriting;
+            }
+
+            if (params.transports != undefined) {
+                this.#transports = [];
+                for (const transport of params.transports) {
+                    this.addTransport(transport);
+                }
+            }
         }
         return this;
     }
 
     /**
      * Log a message to the console
+     ** A transport that throws does not stop the others, its error is reported with process.emitWarning
      * @param {String} msg - Message to display in the console
      * @param {Object} params - Additional parameters for console display
      * @param {Boolean} params.writeToFile - If it should also write to the log file
      * @param {Boolean} params.showInConsole - If it should show the log message in the console
+     * @param {'trace'|'debug'|'info'|'warn'|'error'|'fatal'} params.level - Level of the message (default 'info')
+     * @param {Object} params.metadata - Structured data attached to the message. Written as real fields in the 'json' file format
+     * @param {Date} params.date - Date of the entry (default now)
      */
     log(msg, params) {
         let definedParams = {
             shouldWriteToFile: false,
-            shouldShowInConsole: false
+            shouldShowInConsole: false,
+            level: 'info',
+            metadata: undefined,
+            date: undefined
         };
 
         if (params != undefined) {
             definedParams.shouldWriteToFile = params.writeToFile;
             definedParams.shouldShowInConsole = params.showInConsole;
+            if (params.level != undefined) definedParams.level = params.level;
+            if (params.metadata != undefined) definedParams.metadata = params.metadata;
+            if (params.date instanceof Date) definedParams.date = params.date;
         }
 
-        let messageContent = '';
-        if (typeof msg == 'object') {
-            try {
-                messageContent = JSON.stringify(msg, null);
-            } catch (ex) { }
-        } else {
-            messageContent = msg.toString();
+        validateLogLevel(definedParams.level);
+
+        // Ignore messages below the minimum level of this logger
+        if (!isLevelEnabled(definedParams.level, this.getMinLevel())) {
+            return;
+        }
+
+        /**
+         * @type {LogEntry}
+         */
+        const entry = {
+            date: definedParams.date != undefined ? definedParams.date : new Date(),
+            level: definedParams.level,
+            message: msg,
+            metadata: definedParams.metadata,
+            context: { ...this.getContext(), ...contextStorage.getStore() }
+        };
+
+        const redactor = this.getRedactor();
+        if (redactor != undefined) {
+            entry.message = redactor.redact(entry.message);
+            entry.metadata = redactor.redact(entry.metadata);
+            entry.context = redactor.redact(entry.context);
         }
 
         let shouldShowInConsole = false;
@@ -77,68 +224,342 @@ export class Logger {
         if (definedParams.shouldWriteToFile) shouldSaveLogToFile = true;
         if (definedParams.shouldShowInConsole) shouldShowInConsole = true;
 
-        if (shouldSaveLogToFile) {
-            this.#logToFile(`${messageContent}`);
+        for (const transport of this.getTransports()) {
+            if (transport.kind == 'console' && !shouldShowInConsole) continue;
+            if (transport.kind == 'file' && !shouldSaveLogToFile) continue;
+
+            try {
+                transport.log(entry, this);
+            } catch (ex) {
+                process.emitWarning(`The ${transport.kind} transport of the logger ${this.#name} could not write the entry: ${ex instanceof Error ? ex.message : ex}`);
+            }
+        }
+    }
+
+    /**
+     * Returns a new child logger that carries the context of this logger merged with the context given
+     * @param {String} name - Name of the child logger
+     * @param {Object} context - Key/value fields added to every entry of the child logger
+     * @returns {Logger}
+     */
+    child(name, context) {
+        return new Logger(name, {
+            parentLogger: this,
+            context: context
+        });
+    }
+
+    /**
+     * Writes a whole TraceLog as one grouped block, between a start and an end line
+     ** Each message is written by a child logger that follows the type path of the message, so [Generator>Test1] becomes the logger sequence app->Generator->Test1
+     * @param {TraceLog} trace - Trace to write
+     * @param {Object} params - Additional parameters (optional)
+     * @param {'trace'|'debug'|'info'|'warn'|'error'|'fatal'} params.level - Level of the lines (default 'info')
+     */
+    logTrace(trace, params) {
+        if (!(trace instanceof TraceLog)) {
+            throw new Error('The parameter passed is not an instance of TraceLog');
+        }
+
+        const level = params != undefined && params.level != undefined ? params.level : 'info';
+        const records = trace.query({ isAscending: true }).records;
+
+        this.log(`Trace start (${records.length} messages)`, { level: level });
+
+        if (trace.getEvictedCount() != 0) {
+            this.log(`${trace.getEvictedCount()} older message(s) evicted by the capacity limits`, { level: level });
         }
 
-        if (shouldShowInConsole) {
-            this.#logToConsole(`${messageContent}`);
+        for (const record of records) {
+            this._getTypePathLogger(record.typePath).log(record.message, { level: level, date: record.date });
         }
+
+        this.log(`Trace end`, { level: level });
+    }
+
+    /**
+     * Returns the child logger that writes the messages of a TraceLog type path
+     ** The child loggers write to the same file and with the same toggles as this logger
+     * @param {String[]} typePath - Types of the trace, from the root to the message type
+     * @returns {Logger}
+     */
+    _getTypePathLogger(typePath) {
+        if (typePath.length == 0) return this;
+
+        const pathKey = typePath.join('>');
+        let typePathLogger = this.#typePathLoggers.get(pathKey);
+
+        if (typePathLogger != undefined) {
+            // Moved to the end to keep the order of use
+            this.#typePathLoggers.delete(pathKey);
+        } else {
+            const parentLogger = this._getTypePathLogger(typePath.slice(0, -1));
+            const fileNameTemplate = this.getFileNameTemplate()
+                .replace(/\{name\}/g, this.#name)
+                .replace(/\{sequence\}/g, this.getLoggerSequence().join('-'));
+
+            typePathLogger = new Logger(typePath[typePath.length - 1], {
+                parentLogger: parentLogger,
+                fileNameTemplate: fileNameTemplate,
+                shouldWriteToFile: this.#enableFileLogging,
+                shouldShowInConsole: this.#enableConsoleLogging
+            });
+
+        }
+
+        this.#typePathLoggers.set(pathKey, typePathLogger);
+        if (this.#typePathLoggers.size > MAX_TYPE_PATH_LOGGERS) {
+            this.#typePathLoggers.delete(this.#typePathLoggers.keys().next().value);
+        }
+
+        return typePathLogger;
+    }
+
+    /**
+     * Returns the context of this logger merged with the context of all its parent loggers
+     * @returns {Object}
+     */
+    getContext() {
+        if (this.#parentLogger != undefined) {
+            return { ...this.#parentLogger.getContext(), ...this.#context };
+        }
+        return { ...this.#context };
+    }
+
+    /**
+     * Run the callback with temporary context fields, added to the entries of every logger used inside it, including in async calls
+     ** Nested calls merge their context with the outer one
+     * @param {Object} context - Key/value fields to add while the callback runs
+     * @param {Function} callback - Function to run
+     * @returns {*} The value returned by the callback
+     */
+    static runWithContext(context, callback) {
+        return contextStorage.run({ ...contextStorage.getStore(), ...context }, callback);
+    }
+
+    /**
+     * Log a message with the trace level
+     * @param {String} msg - Message to log
+     * @param {Object} params - Same parameters accepted by log()
+     */
+    trace(msg, params) {
+        this.log(msg, { ...params, level: 'trace' });
+    }
+
+    /**
+     * Log a message with the debug level
+     * @param {String} msg - Message to log
+     * @param {Object} params - Same parameters accepted by log()
+     */
+    debug(msg, params) {
+        this.log(msg, { ...params, level: 'debug' });
+    }
+
+    /**
+     * Log a message with the info level
+     * @param {String} msg - Message to log
+     * @param {Object} params - Same parameters accepted by log()
+     */
+    info(msg, params) {
+        this.log(msg, { ...params, level: 'info' });
+    }
+
+    /**
+     * Log a message with the warn level
+     * @param {String} msg - Message to log
+     * @param {Object} params - Same parameters accepted by log()
+     */
+    warn(msg, params) {
+        this.log(msg, { ...params, level: 'warn' });
+    }
+
+    /**
+     * Log a message with the error level
+     * @param {String} msg - Message to log
+     * @param {Object} params - Same parameters accepted by log()
+     */
+    error(msg, params) {
+        this.log(msg, { ...params, level: 'error' });
+    }
+
+    /**
+     * Log a message with the fatal level
+     * @param {String} msg - Message to log
+     * @param {Object} params - Same parameters accepted by log()
+     */
+    fatal(msg, params) {
+        this.log(msg, { ...params, level: 'fatal' });
+    }
+
+    /**
+     * Change the minimum level of messages this logger writes
+     * @param {'trace'|'debug'|'info'|'warn'|'error'|'fatal'} level
+     */
+    setMinLevel(level) {
+        validateLogLevel(level);
+        this.#minLevel = level;
+    }
+
+    /**
+     * Returns the file format of this logger, inherited from the parent logger if not defined
+     * @returns {'text'|'json'}
+     */
+    getFileFormat() {
+        if (this.#fileFormat != undefined) return this.#fileFormat;
+        if (this.#parentLogger != undefined) return this.#parentLogger.getFileFormat();
+        return 'text';
+    }
+
+    /**
+     * Returns the console format of this logger merged with the console format of its parent loggers
+     * @returns {import('./Formatters.js').ConsoleFormatOptions}
+     */
+    getConsoleFormat() {
+        const parentFormat = this.#parentLogger != undefined ? this.#parentLogger.getConsoleFormat() : {};
+        if (this.#consoleFormat == undefined) return parentFormat;
+
+        return {
+            ...parentFormat,
+            ...this.#consoleFormat,
+            levelColors: { ...parentFormat.levelColors, ...this.#consoleFormat.levelColors },
+            loggerColors: { ...parentFormat.loggerColors, ...this.#consoleFormat.loggerColors }
+        };
+    }
+
+    /**
+     * Returns the redactor of this logger, inherited from the parent logger if not defined
+     * @returns {Redactor | undefined}
+     */
+    getRedactor() {
+        if (this.#redactor != undefined) return this.#redactor;
+        if (this.#parentLogger != undefined) return this.#parentLogger.getRedactor();
+        return undefined;
+    }
+
+    /**
+     * Returns the minimum level of this logger, inherited from the parent logger if not defined
+     * @returns {String}
+     */
+    getMinLevel() {
+        if (this.#minLevel != undefined) return this.#minLevel;
+        if (this.#parentLogger != undefined) return this.#parentLogger.getMinLevel();
+        return 'trace';
     }
 
     /**
      * Toggle between showing or not in the console
+     ** The child loggers of the TraceLog type paths copied the previous value, so they are recreated
      * @param {Boolean} bool 
      */
     toggleLogConsole(bool) {
         this.#enableConsoleLogging = bool;
+        this.#typePathLoggers.clear();
     }
 
     /**
-     * Save the log to the file
+     * Add a destination for the entries of this logger
+     ** If this logger was using the transports of its parent or the default ones, they are kept
+     * @param {LogTransport} transport - Transport to add
      */
-    #logToFile(content) {
-        const saveDirectory = this.getSaveDirectory().complete;
+    addTransport(transport) {
+        if (!(transport instanceof LogTransport)) {
+            throw new Error('The parameter passed is not an instance of LogTransport');
+        }
 
-        if (!fs.existsSync(path.dirname(saveDirectory))) {
-            fs.mkdirSync(path.dirname(saveDirectory), { recursive: true });
+        if (this.#transports == undefined) {
+            this.#transports = this.getTransports().concat();
         }
-        fs.appendFileSync(saveDirectory, `[${this.getTime()}] -> ${content}\n`, { encoding: 'utf-8' });
+
+        this.#transports.push(transport);
     }
 
     /**
-     * Log to the console
-     * @param {String} content 
+     * Remove a destination of this logger
+     * @param {LogTransport} transport - Transport to remove
      */
-    #logToConsole(content) {
-        let logSequence = this.getLoggerSequence();
+    removeTransport(transport) {
+        this.#transports = this.getTransports().filter(existingTransport => existingTransport != transport);
+    }
 
-        console.log(`${this.getTime()} [${logSequence.join('->')}] ${content}`);
+    /**
+     * Returns the destinations of this logger, inherited from the parent logger if not defined
+     * @returns {LogTransport[]}
+     */
+    getTransports() {
+        if (this.#transports != undefined) return this.#transports;
+        if (this.#parentLogger != undefined) return this.#parentLogger.getTransports();
+
+        // Default behavior of a logger without transports: console and daily file
+        this.#transports = [new ConsoleTransport(), new FileTransport({ async: this.#asyncFileWriting })];
+        return this.#transports;
+    }
+
+    /**
+     * Write the entries pending in the transports of this logger
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        await Promise.all(this.getTransports().map(transport => transport.flush()));
+    }
+
+    /**
+     * Write the entries pending in the transports of this logger and release their resources
+     ** Call it on shutdown, the transports can be shared with the parent and child loggers
+     * @returns {Promise<void>}
+     */
+    async close() {
+        await Promise.all(this.getTransports().map(transport => transport.close()));
     }
 
     /**
      * Returns where the file will be saved
      */
     getSaveDirectory() {
-        let logFilePath = ``;
+        const now = new Date();
+        const replacements = {
+            '{date}': this.getDate(),
+            '{year}': `${now.getFullYear()}`,
+            '{month}': (now.getMonth() + 1).toString().padStart(2, '0'),
+            '{day}': now.getDate().toString().padStart(2, '0'),
+            '{name}': this.#name,
+            '{sequence}': this.getLoggerSequence().join('-')
+        };
 
-        if (this.getParentLogger() != undefined) {
-            logFilePath = `${this.getParentLogger().getSaveDirectory().directory}`;
-
-            if (this.#logDirectory != undefined && this.#logDirectory != '') {
-                logFilePath += `\\${this.#logDirectory}`;
-            }
-        } else {
-            logFilePath = path.resolve(`${this.#logDirectory}\\${this.getDate()}`);
-        }
+        const relativeFilePath = this.getFileNameTemplate().replace(/\{date\}|\{year\}|\{month\}|\{day\}|\{name\}|\{sequence\}/g, match => replacements[match]);
+        const completePath = path.join(this.getRootDirectory(), relativeFilePath);
 
         return {
-            directory: logFilePath,
-            fileName: `${this.#name}.log`,
-            complete: `${logFilePath}\\${this.#name}.log`
+            directory: path.dirname(completePath),
+            fileName: path.basename(completePath),
+            complete: completePath
         };
     }
 
+    /**
+     * Returns the directory where the file name template of this logger is applied
+     */
+    getRootDirectory() {
+        if (path.isAbsolute(this.#logDirectory)) {
+            return path.normalize(this.#logDirectory);
+        }
+
+        if (this.getParentLogger() != undefined) {
+            return path.join(this.getParentLogger().getRootDirectory(), this.#logDirectory);
+        }
+
+        return path.resolve(this.#logDirectory);
+    }
+
+    /**
+     * Returns the file name template of this logger, inherited from the parent logger if not defined
+     * @returns {String}
+     */
+    getFileNameTemplate() {
+        if (this.#fileNameTemplate != undefined) return this.#fileNameTemplate;
+        if (this.#parentLogger != undefined) return this.#parentLogger.getFileNameTemplate();
+        return '{date}/{name}.log';
+    }
+
     /**
      * Returns a string in the format hour:minute:second
      */
@@ -0,0 +1,186 @@
+/**
+ * Redaction settings
+ * @typedef RedactionOptions
+ * @property {String[]} keys - Names of the keys whose values are replaced. A name without dots matches the key at any depth (case insensitive), a dotted path like 'user.card.number' matches from the root of the object. '*' matches any key in a path
+ * @property {RegExp[]} patterns - Regular expressions applied to the text values. The matched parts are replaced
+ * @property {String} replacement - Text used in place of the redacted data (default '[REDACTED]')
+ */
+
+/**
+ * Removes sensitive data from the values before they are logged
+ */
+export class Redactor {
+
+    /**
+     * Key names matched at any depth, in lower case
+     * @type {Set<String>}
+     */
+    #keyNames = new Set();
+
+    /**
+     * Dotted paths matched from the root, split by segment
+     * @type {String[][]}
+     */
+    #keyPaths = [];
+
+    /**
+     * @type {RegExp[]}
+     */
+    #patterns = [];
+
+    #replacement = '[REDACTED]';
+
+    /**
+     * Instantiate a Redactor
+     * @param {RedactionOptions} options - Redaction settings
+     */
+    constructor(options) {
+        if (options != undefined) {
+            if (options.keys != undefined) {
+                for (const key of options.keys) {
+                    if (key.includes('.')) {
+                        this.#keyPaths.push(key.split('.'));
+                    } else {
+                        this.#keyNames.add(key.toLowerCase());
+                    }
+                }
+            }
+
+            if (options.patterns != undefined) {
+                // The global flag is required to replace every occurrence
+                this.#patterns = options.patterns.map(pattern => pattern.global ? pattern : new RegExp(pattern.source, `${pattern.flags}g`));
+            }
+
+            if (options.replacement != undefined) this.#replacement = options.replacement;
+        }
+    }
+
+    /**
+     * Returns a copy of the value with the sensitive data replaced. The original value is not modified
+     ** Errors are copied keeping their class, so they are still recognized as errors
+     ** Class instances are copied as plain objects with their own properties (or the value of their toJSON()), as they are serialized by the formatters. Map keys are matched like object keys
+     * @param {*} value - Value to redact
+     */
+    redact(value) {
+        return this.#redactValue(value, [], []);
+    }
+
+    /**
+     * @param {*} value - Value to redact
+     * @param {String[]} keyPath - Keys from the root to the value
+     * @param {Object[]} ancestors - Objects that contain the value, used to detect circular references
+     */
+    #redactValue(value, keyPath, ancestors) {
+        if (typeof value == 'string') return this.#redactText(value);
+        if (value == null || typeof value != 'object') return value;
+
+        if (ancestors.includes(value)) return '[Circular]';
+        const nextAncestors = ancestors.concat([value]);
+
+        if (value instanceof Error) return this.#redactError(value, keyPath, nextAncestors);
+
+        if (Array.isArray(value)) {
+            // Array items keep the path of the array, so 'users.password' also matches inside a list of users
+            return value.map(item => this.#redactValue(item, keyPath, nextAncestors));
+        }
+
+        if (value instanceof Map) {
+            const redactedMap = new Map();
+            for (const [key, item] of value) {
+                redactedMap.set(key, this.#redactProperty(item, String(key), keyPath, nextAncestors));
+            }
+            return redactedMap;
+        }
+
+        if (value instanceof Set) {
+            return new Set(Array.from(value).map(item => this.#redactValue(item, keyPath, nextAncestors)));
+        }
+
+        // Values without properties to redact are kept as they are
+        if (value instanceof Date || value instanceof RegExp || ArrayBuffer.isView(value) || value instanceof ArrayBuffer) return value;
+
+        const prototype = Object.getPrototypeOf(value);
+        if (prototype != Object.prototype && prototype != null && typeof value.toJSON == 'function') {
+            // The formatters write what toJSON() returns, so that is what gets redacted
+            let jsonValue;
+            try {
+                jsonValue = value.toJSON();
+            } catch (ex) {
+                return `[Unserializable ${value.constructor != undefined ? value.constructor.name : 'Object'}]`;
+            }
+            return this.#redactValue(jsonValue, keyPath, nextAncestors);
+        }
+
+        // Plain objects and class instances are copied with their own enumerable properties
+        const redacted = {};
+        for (const key of Object.keys(value)) {
+            redacted[key] = this.#redactProperty(value[key], key, keyPath, nextAncestors);
+        }
+        return redacted;
+    }
+
+    /**
+     * Returns the redacted value of a property, replacing it entirely if its key matches a rule
+     */
+    #redactProperty(value, key, keyPath, ancestors) {
+        const propertyPath = keyPath.concat([key]);
+
+        if (this.#isSensitiveKey(propertyPath)) return this.#replacement;
+        return this.#redactValue(value, propertyPath, ancestors);
+    }
+
+    /**
+     * Returns a copy of the error with its message, stack, custom properties, cause and aggregated errors redacted
+     * @param {Error} error
+     */
+    #redactError(error, keyPath, ancestors) {
+        const redacted = Object.create(Object.getPrototypeOf(error));
+
+        for (const key of ['name', 'message', 'stack']) {
+            if (Object.prototype.hasOwnProperty.call(error, key)) {
+                Object.defineProperty(redacted, key, { value: this.#redactText(error[key]), writable: true, configurable: true, enumerable: false });
+            }
+        }
+
+        for (const key of Object.keys(error)) {
+            redacted[key] = this.#redactProperty(error[key], key, keyPath, ancestors);
+        }
+
+        if (Object.prototype.hasOwnProperty.call(error, 'cause')) {
+            Object.defineProperty(redacted, 'cause', { value: this.#redactProperty(error.cause, 'cause', keyPath, ancestors), writable: true, configurable: true, enumerable: false });
+        }
+
+        if (error instanceof AggregateError) {
+            Object.defineProperty(redacted, 'errors', { value: error.errors.map(item => this.#redactValue(item, keyPath, ancestors)), writable: true, configurable: true, enumerable: false });
+        }
+
+        return redacted;
+    }
+
+    /**
+     * Returns true if the key path matches one of the key rules
+     * @param {String[]} keyPath
+     */
+    #isSensitiveKey(keyPath) {
+        if (this.#keyNames.has(String(keyPath[keyPath.length - 1]).toLowerCase())) return true;
+
+        return this.#keyPaths.some(rulePath => {
+            if (rulePath.length != keyPath.length) return false;
+            return rulePath.every((segment, index) => segment == '*' || segment == keyPath[index]);
+        });
+    }
+
+    /**
+     * Replaces the parts of the text matched by the patterns
+     * @param {String} text
+     */
+    #redactText(text) {
+        if (typeof text != 'string') return text;
+
+        let redacted = text;
+        for (const pattern of this.#patterns) {
+            redacted = redacted.replace(pattern, this.#replacement);
+        }
+        return redacted;
+    }
+}
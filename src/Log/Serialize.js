@@ -0,0 +1,119 @@
+/**
+ * Returns a copy of the value that can be safely converted with JSON.stringify
+ ** Errors are converted to objects with their name, message, stack, custom properties, cause and aggregated errors
+ ** Circular references are replaced by '[Circular]'
+ * @param {*} value - Value to convert
+ * @param {Object[]} ancestors - Objects that contain the value, used to detect circular references
+ */
+export function toSerializable(value, ancestors = []) {
+    if (value instanceof Error) return serializeError(value, ancestors);
+
+    if (typeof value == 'bigint') return value.toString();
+    if (typeof value == 'symbol') return value.toString();
+    if (typeof value == 'function') return `[Function ${value.name || 'anonymous'}]`;
+    if (value == null || typeof value != 'object') return value;
+
+    if (ancestors.includes(value)) return '[Circular]';
+
+    // Objects like Date define their own JSON representation
+    if (typeof value.toJSON == 'function') {
+        try {
+            return toSerializable(value.toJSON(), ancestors);
+        } catch (ex) {
+            return `[Unserializable ${value.constructor != undefined ? value.constructor.name : 'Object'}]`;
+        }
+    }
+
+    const nextAncestors = ancestors.concat([value]);
+
+    if (Array.isArray(value)) return value.map(item => toSerializable(item, nextAncestors));
+    if (value instanceof Set) return Array.from(value).map(item => toSerializable(item, nextAncestors));
+
+    const serialized = {};
+
+    if (value instanceof Map) {
+        for (const [key, item] of value) {
+            serialized[String(key)] = toSerializable(item, nextAncestors);
+        }
+        return serialized;
+    }
+
+    for (const key of Object.keys(value)) {
+        serialized[key] = toSerializable(value[key], nextAncestors);
+    }
+    return serialized;
+}
+
+/**
+ * Returns an Error as a plain object with its name, message, stack, custom properties, cause and aggregated errors
+ * @param {Error} error - Error to convert
+ * @param {Object[]} ancestors - Objects that contain the error, used to detect circular references
+ */
+export function serializeError(error, ancestors = []) {
+    if (ancestors.includes(error)) return '[Circular]';
+
+    const nextAncestors = ancestors.concat([error]);
+    const serialized = {
+        name: error.name,
+        message: error.message,
+        stack: error.stack
+    };
+
+    for (const key of Object.keys(error)) {
+        if (key == 'stack' || key == 'message') continue;
+        serialized[key] = toSerializable(error[key], nextAncestors);
+    }
+
+    if (error.cause != undefined) {
+        serialized.cause = toSerializable(error.cause, nextAncestors);
+    }
+
+    if (error instanceof AggregateError) {
+        serialized.errors = error.errors.map(aggregatedError => toSerializable(aggregatedError, nextAncestors));
+    }
+
+    return serialized;
+}
+
+/**
+ * Converts the value to a JSON string without throwing on Errors, circular references or BigInt values
+ * @param {*} value - Value to convert
+ * @param {Number} space - Indentation of the JSON (optional)
+ */
+export function safeStringify(value, space) {
+    return JSON.stringify(toSerializable(value), null, space);
+}
+
+/**
+ * Returns a readable text of the Error, with its stack, custom properties, aggregated errors and cause chain
+ * @param {Error} error - Error to format
+ * @param {Error[]} ancestors - Errors already formatted in this chain, used to detect circular references
+ */
+export function formatErrorText(error, ancestors = []) {
+    if (ancestors.includes(error)) return '[Circular]';
+
+    const nextAncestors = ancestors.concat([error]);
+    let text = error.stack != undefined ? error.stack : `${error.name}: ${error.message}`;
+
+    const customProperties = {};
+    for (const key of Object.keys(error)) {
+        if (['stack', 'message', 'name', 'cause', 'errors'].includes(key)) continue;
+        customProperties[key] = error[key];
+    }
+    if (Object.keys(customProperties).length != 0) {
+        text += `\n    ${safeStringify(customProperties)}`;
+    }
+
+    if (error instanceof AggregateError) {
+        error.errors.forEach((aggregatedError, index) => {
+            const aggregatedText = aggregatedError instanceof Error ? formatErrorText(aggregatedError, nextAncestors) : safeStringify(aggregatedError);
+            text += `\n  [${index}] ${aggregatedText.split('\n').join('\n  ')}`;
+        });
+    }
+
+    if (error.cause != undefined) {
+        text += `\nCaused by: ${error.cause instanceof Error ? formatErrorText(error.cause, nextAncestors) : safeStringify(error.cause)}`;
+    }
+
+    return text;
+}
@@ -1,4 +1,7 @@
+import { AsyncLocalStorage } from "async_hooks";
 import { formatDateToString } from "../Date/FormatDates.js";
+import { safeStringify } from "./Serialize.js";
+import { Redactor } from "./Redaction.js";
 
 /**
  * The Trace Log class is used to record a trace of logs in a desired sequence
@@ -13,7 +16,93 @@ export class TraceLog {
     #incrementId = 0;
     #incrementTypeId = 0;
 
-    constructor() {
+    /**
+     * @type {Redactor}
+     */
+    #redactor;
+
+    /**
+     * Date the trace started, used to calculate the elapsed time of the messages
+     * @type {Date}
+     */
+    #startDate = new Date();
+
+    /**
+     * Span run of the callback running with LogType.wrap()
+     * @type {AsyncLocalStorage<LogType>}
+     */
+    #spanStorage = new AsyncLocalStorage();
+
+    /**
+     * Maximum number of messages kept in the whole trace
+     * @type {Number}
+     */
+    #maxMessages;
+
+    /**
+     * Maximum number of messages kept in each log type
+     * @type {Number}
+     */
+    #maxMessagesPerType;
+
+    /**
+     * Callback that receives the messages evicted by the capacity limits
+     * @type {(evictedMessages: TraceRecord[]) => void}
+     */
+    #onEvict;
+
+    /**
+     * Number of messages evicted by the capacity limits
+     */
+    #evictedCount = 0;
+
+    /**
+     * Number of messages kept in all the log types
+     */
+    #totalMessages = 0;
+
+    /**
+     * Messages of all the log types in the order they were added, used to find the oldest one when the trace exceeds maxMessages
+     ** Only kept when maxMessages is defined. The messages evicted by the limit per type are skipped when reached
+     * @type {{ logType: LogType, message: LogMessageType }[]}
+     */
+    #messageOrder = [];
+
+    /**
+     * Position in #messageOrder of the oldest entry not evicted yet
+     */
+    #messageOrderStart = 0;
+
+    /**
+     * Loggers that receive the messages as they are added
+     * @type {{ logger: import('./Logger.js').Logger, level: String }[]}
+     */
+    #attachedLoggers = [];
+
+    /**
+     * Instantiate a TraceLog
+     * @param {Object} params - Additional parameters (optional)
+     * @param {Redactor | import('./Redaction.js').RedactionOptions} params.redaction - Rules to remove sensitive data from the messages before they are stored
+     * @param {Number} params.maxMessages - Maximum number of messages kept in the trace. When exceeded, the oldest message of the trace is evicted
+     * @param {Number} params.maxMessagesPerType - Maximum number of messages kept in each log type. When exceeded, the oldest message of the type is evicted
+     * @param {(evictedMessages: TraceRecord[]) => void} params.onEvict - Receives the messages evicted, for example to write them to a Logger before they are dropped
+     */
+    constructor(params) {
+        if (params != undefined) {
+            if (params.redaction != undefined) this.#redactor = params.redaction instanceof Redactor ? params.redaction : new Redactor(params.redaction);
+
+            if (params.maxMessages != undefined) {
+                if (params.maxMessages < 1) throw new Error('The maximum number of messages must be at least 1');
+                this.#maxMessages = params.maxMessages;
+            }
+
+            if (params.maxMessagesPerType != undefined) {
+                if (params.maxMessagesPerType < 1) throw new Error('The maximum number of messages per type must be at least 1');
+                this.#maxMessagesPerType = params.maxMessagesPerType;
+            }
+
+            if (params.onEvict != undefined) this.#onEvict = params.onEvict;
+        }
         return this;
     }
 
@@ -21,8 +110,9 @@ export class TraceLog {
      * Adds a new log type for organization
      ** If one with the name already exists, it will only be returned
      * @param {String} type - The name to give to the log
+     * @param {String | LogType} parentType - Log type (or its name) this one is nested in (optional). A parent that does not exist yet is added
      */
-    addType(type) {
+    addType(type, parentType) {
         let logType = this.#logs.find(logType => logType.getType() == type);
 
         if (logType == undefined) {
@@ -33,9 +123,31 @@ export class TraceLog {
             this.#logs.push(logType);;
         }
 
+        if (parentType != undefined) {
+            logType.setParentType(parentType instanceof LogType ? parentType : this.addType(parentType));
+        }
+
         return logType;
     }
 
+    /**
+     * Runs the callback inside a new run of the span of the log type, ending it when the callback finishes
+     ** Each call has its own run, so the same span can run several times at once
+     * @param {String} type - Name of the log type of the span
+     * @param {(spanRun: LogType) => any} callback - Function to run, receives the run of the span to add messages
+     * @returns {Promise<any>} The value returned by the callback
+     */
+    span(type, callback) {
+        return this.addType(type).wrap(callback);
+    }
+
+    /**
+     * Returns the date the trace started
+     */
+    getStartDate() {
+        return this.#startDate;
+    }
+
     /**
      * Appends the logs of another TraceLog
      * @param {TraceLog} tracelogInst - TraceLog class
@@ -75,10 +187,11 @@ export class TraceLog {
 
             let belongingLogType = this.#logs.find(logType => logType.getType() == logMessage.type.getType());
 
-            // If the log type does not exist, add it
+            // If the log type does not exist, add it keeping the same parent
             if (belongingLogType == undefined) {
 
-                belongingLogType = this.addType(logMessage.type.getType());
+                const sourceParentType = logMessage.type.getParentType();
+                belongingLogType = this.addType(logMessage.type.getType(), sourceParentType != undefined ? sourceParentType.getType() : undefined);
                 logMessage.newSequenceId = belongingLogType.getSequenceID();
             }
 
@@ -89,6 +202,137 @@ export class TraceLog {
         return this;
     }
 
+    /**
+     * Returns the trace as a plain object that can be stored or sent and later rebuilt with TraceLog.fromJSON()
+     ** Called automatically by JSON.stringify
+     * @returns {TraceLogJSON}
+     */
+    toJSON() {
+        return {
+            version: 1,
+            startDate: this.#startDate.toISOString(),
+            lastTypeId: this.#incrementId,
+            lastMessageId: this.#incrementTypeId,
+            evictedCount: this.#evictedCount,
+            types: this.#logs.map(logType => logType.toJSON())
+        };
+    }
+
+    /**
+     * Rebuilds a TraceLog exported with toJSON(), keeping the dates and sequence ids of every log type and message
+     * @param {TraceLogJSON | String} data - Object returned by toJSON() or its JSON string
+     * @param {Object} params - Same parameters accepted by the TraceLog constructor (optional)
+     * @returns {TraceLog}
+     */
+    static fromJSON(data, params) {
+        const traceData = typeof data == 'string' ? JSON.parse(data) : data;
+
+        validateTraceData(traceData);
+
+        const trace = new TraceLog(params);
+        if (traceData.startDate != undefined) trace.#startDate = new Date(traceData.startDate);
+
+        for (const typeData of traceData.types) {
+            const logType = new LogType(trace, typeData.type, typeData.sequenceId);
+
+            for (const messageData of typeData.messages) {
+                logType._restoreMessage(messageData.message, new Date(messageData.date), messageData.sequence);
+                trace.#incrementTypeId = Math.max(trace.#incrementTypeId, messageData.sequence);
+            }
+
+            trace.#logs.push(logType);
+            trace.#incrementId = Math.max(trace.#incrementId, typeData.sequenceId);
+        }
+
+        // The messages were restored type by type
+        trace.#messageOrder.sort((a, b) => a.message.sequence - b.message.sequence);
+
+        // The parents and spans are restored after all types exist, so the parents can be found
+        for (const typeData of traceData.types) {
+            const logType = trace.#logs.find(existingType => existingType.getType() == typeData.type);
+
+            if (typeData.spanOf != undefined) {
+                logType._setSpanOf(trace.#logs.find(existingType => existingType.getType() == typeData.spanOf));
+            } else if (typeData.parentType != undefined) {
+                logType.setParentType(trace.#logs.find(existingType => existingType.getType() == typeData.parentType));
+            }
+
+            if (typeData.span != undefined) {
+                logType._restoreSpan(typeData.span);
+            }
+
+            if (typeData.evictedCount != undefined) {
+                logType._restoreEvictedCount(typeData.evictedCount);
+            }
+        }
+
+        if (traceData.evictedCount != undefined) trace.#evictedCount = traceData.evictedCount;
+
+        // Apply the capacity limits of the new trace to the restored messages
+        for (const logType of trace.#logs) {
+            trace._enforceCapacity(logType);
+        }
+
+        // Keep the counters of the original trace, so new ids never collide with the restored ones
+        if (traceData.lastTypeId != undefined) trace.#incrementId = Math.max(trace.#incrementId, traceData.lastTypeId);
+        if (traceData.lastMessageId != undefined) trace.#incrementTypeId = Math.max(trace.#incrementTypeId, traceData.lastMessageId);
+
+        return trace;
+    }
+
+    /**
+     * Returns every message as a JSON line (NDJSON), in the order they were added
+     * @returns {String}
+     */
+    toNDJSON() {
+        return this.#getExportRecords().map(record => JSON.stringify(record)).join('\n');
+    }
+
+    /**
+     * Returns every message as CSV with a header line, in the order they were added
+     * @param {String} separator - Column separator (default ',')
+     * @returns {String}
+     */
+    toCSV(separator = ',') {
+        const columns = ['sequence', 'type', 'typeSequenceId', 'date', 'message'];
+
+        const escapeValue = (value) => {
+            const text = String(value);
+            if (text.includes(separator) || text.includes('"') || text.includes('\n') || text.includes('\r')) {
+                return `"${text.replace(/"/g, '""')}"`;
+            }
+            return text;
+        };
+
+        const lines = [columns.join(separator)];
+        for (const record of this.#getExportRecords()) {
+            lines.push(columns.map(column => escapeValue(record[column])).join(separator));
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Returns the flat records of the exporters, ordered by the message sequence
+     */
+    #getExportRecords() {
+        const records = [];
+
+        for (const logType of this.#logs) {
+            for (const message of logType.getMessages()) {
+                records.push({
+                    sequence: message.sequence,
+                    type: logType.getType(),
+                    typeSequenceId: logType.getSequenceID(),
+                    date: message.date.toISOString(),
+                    message: message.message
+                });
+            }
+        }
+
+        return records.sort((a, b) => a.sequence - b.sequence);
+    }
+
     /**
      * Returns the stored log types
      */
@@ -104,26 +348,7 @@ export class TraceLog {
         let orderedMessages = [];
 
         for (const logType of this.#logs) {
-            let isSearchingSequence = true
-            let currentSeqIndex = logType.getSequenceID();
-            let logTypeSequences = []
-
-            while (isSearchingSequence) {
-
-                // Find the sequence of this log type, for example if there are 3 logs in the sequence [Generator], [Test1] [Test2] and this message is from Test2, the sequence should return [Generator], [Test1]
-                let existsPreviousSeq = this.#logs.find(logPrev => logPrev.getSequenceID() == (currentSeqIndex - 1))
-
-                // If there is a previous sequence to this one, save it
-                if (existsPreviousSeq) {
-                    logTypeSequences.push(existsPreviousSeq.getType());
-                    currentSeqIndex--;
-                } else {
-                    // Reached the last one
-                    isSearchingSequence = false;
-                }
-            }
-
-            logTypeSequences.reverse();
+            const logTypeSequences = this.#getTypeAncestors(logType);
 
             for (const message of logType.getMessages()) {
                 orderedMessages.push({
@@ -136,7 +361,9 @@ export class TraceLog {
             }
         }
 
-        return orderedMessages.sort((a, b) => {
+        const startDate = this.#startDate;
+
+        const history = orderedMessages.sort((a, b) => {
             if (isAscending) {
                 return a.sequenceId - b.sequenceId;
             } else {
@@ -144,7 +371,7 @@ export class TraceLog {
             }
         }).map(message => {
 
-            let logMsg = `${formatDateToString(message.date, '%day%/%month%/%year% %hour%:%minute%:%second%:%millis%')}`;
+            let logMsg = `${formatDateToString(message.date, '%day%/%month%/%year% %hour%:%minute%:%second%:%millis%')} ${formatElapsed(message.date.getTime() - startDate.getTime())}`;
 
             let previousLogTypeSequences = message.logTypeSequence.concat();
 
@@ -169,6 +396,376 @@ export class TraceLog {
             logMsg += `: ${message.message}`;
             return logMsg;
         });
+
+        // The evicted messages are the oldest, so the counter goes where they would be
+        if (this.#evictedCount != 0) {
+            const evictionLine = `${this.#evictedCount} older message(s) evicted by the capacity limits`;
+            if (isAscending) {
+                history.unshift(evictionLine);
+            } else {
+                history.push(evictionLine);
+            }
+        }
+
+        return history;
+    }
+
+    /**
+     * Streams the messages added from now on to the logger, following their type path in the logger sequence
+     ** The logger is checked by its methods, so this module does not import Logger (which imports TraceLog)
+     * @param {import('./Logger.js').Logger} logger - Logger that will write the messages
+     * @param {Object} params - Additional parameters (optional)
+     * @param {'trace'|'debug'|'info'|'warn'|'error'|'fatal'} params.level - Level of the messages in the logger (default 'info')
+     */
+    attachLogger(logger, params) {
+        if (logger == undefined || typeof logger._getTypePathLogger != 'function' || typeof logger.log != 'function') {
+            throw new Error('The parameter passed is not an instance of Logger');
+        }
+
+        this.detachLogger(logger);
+        this.#attachedLoggers.push({
+            logger: logger,
+            level: params != undefined && params.level != undefined ? params.level : 'info'
+        });
+
+        return this;
+    }
+
+    /**
+     * Stops streaming the messages to the logger
+     * @param {import('./Logger.js').Logger} logger - Logger attached with attachLogger()
+     */
+    detachLogger(logger) {
+        this.#attachedLoggers = this.#attachedLoggers.filter(attachedLogger => attachedLogger.logger != logger);
+        return this;
+    }
+
+    /**
+     * Returns the number of messages evicted by the capacity limits
+     */
+    getEvictedCount() {
+        return this.#evictedCount;
+    }
+
+    /**
+     * Returns the message with the sensitive data removed, if a redaction was defined
+     * @param {*} msg - Message to redact
+     */
+    _redactMessage(msg) {
+        if (this.#redactor == undefined) return msg;
+        return this.#redactor.redact(msg);
+    }
+
+    /**
+     * Returns the messages that match the filters, as structured records
+     * @param {TraceQuery} filters - Filters of the query (optional)
+     * @returns {TraceQueryResult}
+     */
+    query(filters) {
+        const definedFilters = {
+            types: undefined,
+            onlyOwnType: false,
+            from: undefined,
+            to: undefined,
+            text: undefined,
+            minSequence: undefined,
+            maxSequence: undefined,
+            isAscending: true,
+            offset: 0,
+            limit: undefined
+        };
+
+        if (filters != undefined) {
+            if (filters.type != undefined) definedFilters.types = Array.isArray(filters.type) ? filters.type : [filters.type];
+            if (filters.onlyOwnType != undefined) definedFilters.onlyOwnType = filters.onlyOwnType;
+            if (filters.from != undefined) definedFilters.from = filters.from;
+            if (filters.to != undefined) definedFilters.to = filters.to;
+            if (filters.text != undefined) definedFilters.text = filters.text;
+            if (filters.minSequence != undefined) definedFilters.minSequence = filters.minSequence;
+            if (filters.maxSequence != undefined) definedFilters.maxSequence = filters.maxSequence;
+            if (filters.isAscending != undefined) definedFilters.isAscending = filters.isAscending;
+            if (filters.offset != undefined) definedFilters.offset = filters.offset;
+            if (filters.limit != undefined) definedFilters.limit = filters.limit;
+        }
+
+        /**
+         * @type {TraceRecord[]}
+         */
+        let records = [];
+
+        for (const logType of this.#logs) {
+            const typePath = this.#getTypeAncestors(logType).concat([logType.getType()]);
+
+            if (definedFilters.types != undefined) {
+                const matchedTypes = definedFilters.onlyOwnType ? [logType.getType()] : typePath;
+                if (!definedFilters.types.some(type => matchedTypes.includes(type))) continue;
+            }
+
+            for (const message of logType.getMessages()) {
+                if (definedFilters.from != undefined && message.date < definedFilters.from) continue;
+                if (definedFilters.to != undefined && message.date > definedFilters.to) continue;
+                if (definedFilters.minSequence != undefined && message.sequence < definedFilters.minSequence) continue;
+                if (definedFilters.maxSequence != undefined && message.sequence > definedFilters.maxSequence) continue;
+
+                if (definedFilters.text != undefined) {
+                    if (definedFilters.text instanceof RegExp) {
+                        // Reset a global regex so every message is tested from the start
+                        definedFilters.text.lastIndex = 0;
+                        if (!definedFilters.text.test(message.message)) continue;
+                    } else if (!String(message.message).includes(definedFilters.text)) {
+                        continue;
+                    }
+                }
+
+                records.push({
+                    sequenceId: message.sequence,
+                    type: logType.getType(),
+                    typePath: typePath,
+                    date: message.date,
+                    elapsedMs: message.date.getTime() - this.#startDate.getTime(),
+                    message: message.message
+                });
+            }
+        }
+
+        records.sort((a, b) => definedFilters.isAscending ? a.sequenceId - b.sequenceId : b.sequenceId - a.sequenceId);
+
+        const total = records.length;
+        const end = definedFilters.limit != undefined ? definedFilters.offset + definedFilters.limit : undefined;
+
+        return {
+            total: total,
+            offset: definedFilters.offset,
+            limit: definedFilters.limit,
+            hasMore: end != undefined && end < total,
+            records: records.slice(definedFilters.offset, end)
+        };
+    }
+
+    /**
+     * Returns the history as a tree of the log types, following the parents declared with addType() or the nesting of the spans
+     ** In 'text' mode returns the lines of the tree drawn with box-drawing characters, in 'data' mode returns the root nodes as nested objects
+     * @param {'text'|'data'} mode - Output mode (default 'text')
+     * @returns {String[] | TraceTreeNode[]}
+     */
+    getHistoryTree(mode = 'text') {
+        if (mode != 'text' && mode != 'data') {
+            throw new Error(`Invalid tree mode: ${mode}`);
+        }
+
+        const rootNodes = this.#logs.filter(logType => logType.getParentType() == undefined).map(logType => this.#buildTreeNode(logType));
+        rootNodes.sort((a, b) => getTreeNodePosition(a) - getTreeNodePosition(b));
+
+        if (mode == 'data') return rootNodes;
+
+        const lines = [];
+
+        /**
+         * Draws the messages and children of the node, interleaved in the order they were added
+         * @param {TraceTreeNode} node
+         * @param {String} indentation - Prefix of the lines of this level
+         */
+        const drawNodeItems = (node, indentation) => {
+            const items = node.messages.map(message => ({ position: message.sequenceId, message: message }))
+                .concat(node.children.map(child => ({ position: getTreeNodePosition(child), child: child })))
+                .sort((a, b) => a.position - b.position);
+
+            items.forEach((item, index) => {
+                const isLast = index == items.length - 1;
+                const branch = isLast ? '└── ' : '├── ';
+                const continuation = `${indentation}${isLast ? '    ' : '│   '}`;
+
+                if (item.message != undefined) {
+                    const text = `${formatDateToString(item.message.date, '%hour%:%minute%:%second%:%millis%')} ${formatElapsed(item.message.elapsedMs)} ${item.message.message}`;
+                    const [firstLine, ...otherLines] = String(text).split('\n');
+
+                    lines.push(`${indentation}${branch}${firstLine}`);
+                    for (const otherLine of otherLines) {
+                        lines.push(`${continuation}${otherLine}`);
+                    }
+                } else {
+                    lines.push(`${indentation}${branch}${formatTreeNodeTitle(item.child)}`);
+                    drawNodeItems(item.child, continuation);
+                }
+            });
+        };
+
+        for (const rootNode of rootNodes) {
+            lines.push(formatTreeNodeTitle(rootNode));
+            drawNodeItems(rootNode, '');
+        }
+
+        return lines;
+    }
+
+    /**
+     * Returns the node of the log type with its messages and child types
+     * @param {LogType} logType
+     * @returns {TraceTreeNode}
+     */
+    #buildTreeNode(logType) {
+        const children = this.#logs.filter(childType => childType.getParentType() == logType).map(childType => this.#buildTreeNode(childType));
+        children.sort((a, b) => getTreeNodePosition(a) - getTreeNodePosition(b));
+
+        return {
+            type: logType.getType(),
+            sequenceId: logType.getSequenceID(),
+            durationMs: logType.hasSpan() ? logType.getDuration() : undefined,
+            evictedCount: logType.getEvictedCount(),
+            messages: logType.getMessages().concat().sort((a, b) => a.sequence - b.sequence).map(message => ({
+                sequenceId: message.sequence,
+                date: message.date,
+                elapsedMs: message.date.getTime() - this.#startDate.getTime(),
+                message: message.message
+            })),
+            children: children
+        };
+    }
+
+    /**
+     * Returns the names of the log types this log type is nested in, from the root to its direct parent
+     ** For example if Test2 was added with the parent Test1, and Test1 with the parent Generator, the sequence returned is [Generator, Test1]
+     * @param {LogType} logType
+     * @returns {String[]}
+     */
+    #getTypeAncestors(logType) {
+        if (logType.getParentType() == undefined) return [];
+
+        return this.#getTypeAncestors(logType.getParentType()).concat([logType.getParentType().getType()]);
+    }
+
+    /**
+     * Returns the span run a new span should be nested in
+     ** Only the async context is used, so spans started at the same time in different async calls are siblings
+     * @returns {LogType | undefined} The span run running in the current async context
+     */
+    _getCurrentSpan() {
+        const currentSpan = this.#spanStorage.getStore();
+        if (currentSpan == undefined || !currentSpan.isRunning()) return undefined;
+
+        return currentSpan;
+    }
+
+    /**
+     * Runs the callback with the span run as the current one of its async context
+     * @param {LogType} logType - Run of the span
+     * @param {Function} callback - Function to run
+     */
+    _runInSpan(logType, callback) {
+        return this.#spanStorage.run(logType, callback);
+    }
+
+    /**
+     * Adds a new run of the span of a log type, nested in it
+     * @param {LogType} spanType - Log type of the span
+     * @param {String} type - Name of the run
+     * @returns {LogType}
+     */
+    _addSpanRun(spanType, type) {
+        this.#incrementId++;
+        const spanRun = new LogType(this, type, this.#incrementId);
+        spanRun._setSpanOf(spanType);
+
+        this.#logs.push(spanRun);
+        return spanRun;
+    }
+
+    /**
+     * Sends a message that was just added to the attached loggers
+     * @param {LogType} logType - Log type of the message
+     * @param {LogMessageType} message - Message added
+     */
+    _notifyMessage(logType, message) {
+        if (this.#attachedLoggers.length == 0) return;
+
+        const typePath = this.#getTypeAncestors(logType).concat([logType.getType()]);
+
+        for (const attachedLogger of this.#attachedLoggers) {
+            // A failing logger should not break the trace
+            try {
+                attachedLogger.logger._getTypePathLogger(typePath).log(message.message, { level: attachedLogger.level, date: message.date });
+            } catch (ex) { }
+        }
+    }
+
+    /**
+     * Registers a message added to a log type, for the capacity limits
+     * @param {LogType} logType - Log type of the message
+     * @param {LogMessageType} message - Message added
+     */
+    _trackMessage(logType, message) {
+        this.#totalMessages++;
+
+        if (this.#maxMessages != undefined) {
+            this.#messageOrder.push({ logType: logType, message: message });
+        }
+    }
+
+    /**
+     * Evicts the oldest messages while the capacity limits are exceeded, after a message was added to the log type
+     ** Each eviction takes constant time: the totals are kept as messages are added and removed, and the oldest message is found through #messageOrder
+     * @param {LogType} logType - Log type that received a message
+     */
+    _enforceCapacity(logType) {
+        if (this.#maxMessages == undefined && this.#maxMessagesPerType == undefined) return;
+
+        /**
+         * @type {TraceRecord[]}
+         */
+        const evictedMessages = [];
+
+        const evictOldest = (fromType) => {
+            const message = fromType._evictOldestMessage();
+            this.#evictedCount++;
+            this.#totalMessages--;
+
+            evictedMessages.push({
+                sequenceId: message.sequence,
+                type: fromType.getType(),
+                typePath: this.#getTypeAncestors(fromType).concat([fromType.getType()]),
+                date: message.date,
+                elapsedMs: message.date.getTime() - this.#startDate.getTime(),
+                message: message.message
+            });
+        };
+
+        if (this.#maxMessagesPerType != undefined) {
+            while (logType.getTotalMessages() > this.#maxMessagesPerType) {
+                evictOldest(logType);
+            }
+        }
+
+        if (this.#maxMessages != undefined) {
+            while (this.#totalMessages > this.#maxMessages) {
+                const oldest = this.#messageOrder[this.#messageOrderStart];
+                this.#messageOrder[this.#messageOrderStart] = undefined;
+                this.#messageOrderStart++;
+
+                // Already evicted by the limit of its type
+                if (oldest.logType._isMessageEvicted(oldest.message)) continue;
+
+                evictOldest(oldest.logType);
+            }
+
+            this.#compactMessageOrder();
+        }
+
+        if (evictedMessages.length != 0 && this.#onEvict != undefined) {
+            try {
+                this.#onEvict(evictedMessages);
+            } catch (ex) { }
+        }
+    }
+
+    /**
+     * Removes the evicted entries of #messageOrder once they are the majority, so it does not grow with the messages evicted by the limit per type
+     ** At most maxMessages entries are alive, so the cost is spread over the evictions
+     */
+    #compactMessageOrder() {
+        if (this.#messageOrder.length <= this.#maxMessages * 2 + 64) return;
+
+        this.#messageOrder = this.#messageOrder.slice(this.#messageOrderStart).filter(entry => !entry.logType._isMessageEvicted(entry.message));
+        this.#messageOrderStart = 0;
     }
 
     /**
@@ -180,6 +777,157 @@ export class TraceLog {
     }
 }
 
+/**
+ * Node of TraceLog.getHistoryTree() in 'data' mode
+ * @typedef TraceTreeNode
+ * @property {String} type - Name of the log type
+ * @property {Number} sequenceId - Sequence id of the log type
+ * @property {Number} durationMs - Duration of the span, undefined if the log type was not used as a span
+ * @property {Number} evictedCount - Number of messages of the log type evicted by the capacity limits
+ * @property {{ sequenceId: Number, date: Date, elapsedMs: Number, message: String }[]} messages - Messages of the log type
+ * @property {TraceTreeNode[]} children - Log types nested in this one
+ */
+
+/**
+ * Returns the position used to order a tree node among the messages and other nodes: the sequence of its first message, including the messages of its children
+ * @param {TraceTreeNode} node
+ */
+function getTreeNodePosition(node) {
+    let position = node.messages.length != 0 ? node.messages[0].sequenceId : Infinity;
+    for (const child of node.children) {
+        position = Math.min(position, getTreeNodePosition(child));
+    }
+    return position;
+}
+
+/**
+ * Returns the elapsed time since the start of the trace as +Nms, or -Nms for messages from before the start (like appended ones)
+ * @param {Number} elapsedMs
+ */
+function formatElapsed(elapsedMs) {
+    return elapsedMs < 0 ? `-${-elapsedMs}ms` : `+${elapsedMs}ms`;
+}
+
+/**
+ * Throws a descriptive error if the data is not a valid export of TraceLog.toJSON()
+ * @param {TraceLogJSON} traceData
+ */
+function validateTraceData(traceData) {
+    const fail = (problem) => {
+        throw new Error(`The data passed is not an exported TraceLog: ${problem}`);
+    };
+    const isValidDate = (value) => typeof value == 'string' && !isNaN(new Date(value).getTime());
+    const isValidNumber = (value) => typeof value == 'number' && Number.isFinite(value);
+
+    if (traceData == undefined || typeof traceData != 'object') fail('expected an object');
+    if (!Array.isArray(traceData.types)) fail('types is not a list');
+    if (traceData.startDate != undefined && !isValidDate(traceData.startDate)) fail(`invalid startDate ${traceData.startDate}`);
+    if (traceData.evictedCount != undefined && !isValidNumber(traceData.evictedCount)) fail(`invalid evictedCount ${traceData.evictedCount}`);
+
+    const typeNames = new Set();
+    traceData.types.forEach((typeData, typeIndex) => {
+        const typePath = `types[${typeIndex}]`;
+
+        if (typeData == undefined || typeof typeData != 'object') fail(`${typePath} is not an object`);
+        if (typeof typeData.type != 'string') fail(`${typePath}.type is not a string`);
+        if (!isValidNumber(typeData.sequenceId)) fail(`${typePath}.sequenceId is not a number`);
+        if (!Array.isArray(typeData.messages)) fail(`${typePath}.messages is not a list`);
+        if (typeData.evictedCount != undefined && !isValidNumber(typeData.evictedCount)) fail(`${typePath}.evictedCount is not a number`);
+
+        if (typeData.span != undefined) {
+            if (typeof typeData.span != 'object' || !isValidDate(typeData.span.startDate)) fail(`${typePath}.span.startDate is not a valid date`);
+            if (typeData.span.endDate != undefined && !isValidDate(typeData.span.endDate)) fail(`${typePath}.span.endDate is not a valid date`);
+            if (!isValidNumber(typeData.span.elapsedMs)) fail(`${typePath}.span.elapsedMs is not a number`);
+        }
+
+        typeData.messages.forEach((messageData, messageIndex) => {
+            const messagePath = `${typePath}.messages[${messageIndex}]`;
+
+            if (messageData == undefined || typeof messageData != 'object') fail(`${messagePath} is not an object`);
+            if (!('message' in messageData)) fail(`${messagePath}.message is missing`);
+            if (!isValidDate(messageData.date)) fail(`${messagePath}.date is not a valid date`);
+            if (!isValidNumber(messageData.sequence)) fail(`${messagePath}.sequence is not a number`);
+        });
+
+        typeNames.add(typeData.type);
+    });
+
+    // The parents are looked up by name once all the types are restored
+    traceData.types.forEach((typeData, typeIndex) => {
+        for (const key of ['parentType', 'spanOf']) {
+            if (typeData[key] != undefined && !typeNames.has(typeData[key])) {
+                fail(`types[${typeIndex}].${key} ${typeData[key]} is not one of the exported types`);
+            }
+        }
+    });
+}
+
+/**
+ * Returns the title line of a tree node, with the span duration if present
+ * @param {TraceTreeNode} node
+ */
+function formatTreeNodeTitle(node) {
+    const details = [];
+    if (node.durationMs != undefined) details.push(`${node.durationMs}ms`);
+    if (node.evictedCount != 0) details.push(`${node.evictedCount} evicted`);
+
+    return details.length != 0 ? `${node.type} (${details.join(', ')})` : node.type;
+}
+
+/**
+ * Filters of TraceLog.query()
+ * @typedef TraceQuery
+ * @property {String|String[]} type - Log types to return. A message matches if its type or one of the types it is nested in is in the list
+ * @property {Boolean} onlyOwnType - If true, the type filter ignores the types the message type is nested in (default false)
+ * @property {Date} from - Minimum date of the messages
+ * @property {Date} to - Maximum date of the messages
+ * @property {String|RegExp} text - Text contained in the message or regex the message must match
+ * @property {Number} minSequence - Minimum sequence id of the messages
+ * @property {Number} maxSequence - Maximum sequence id of the messages
+ * @property {Boolean} isAscending - Order of the records by sequence id (default true)
+ * @property {Number} offset - Number of matching records to skip (default 0)
+ * @property {Number} limit - Maximum number of records returned (default all)
+ */
+
+/**
+ * @typedef TraceRecord
+ * @property {Number} sequenceId - Sequence id of the message
+ * @property {String} type - Log type of the message
+ * @property {String[]} typePath - Types the message type is nested in, ending with the message type
+ * @property {Date} date - Date the message was added
+ * @property {Number} elapsedMs - Milliseconds between the start of the trace and the message
+ * @property {String} message - Message content
+ */
+
+/**
+ * @typedef TraceQueryResult
+ * @property {Number} total - Number of messages that matched the filters
+ * @property {Number} offset - Offset used
+ * @property {Number} limit - Limit used
+ * @property {Boolean} hasMore - If there are matching records after this page
+ * @property {TraceRecord[]} records - Records of this page
+ */
+
+/**
+ * @typedef TraceLogJSON
+ * @property {Number} version - Version of the export format
+ * @property {Number} lastTypeId - Last sequence id given to a log type
+ * @property {Number} lastMessageId - Last sequence id given to a message
+ * @property {Number} evictedCount - Number of messages evicted by the capacity limits
+ * @property {LogTypeJSON[]} types - Exported log types
+ */
+
+/**
+ * @typedef LogTypeJSON
+ * @property {String} type - Name of the log type
+ * @property {Number} sequenceId - Sequence id of the log type
+ * @property {String} parentType - Name of the parent log type, if defined
+ * @property {String} spanOf - Name of the log type of the span, if this log type is a run of it
+ * @property {{ startDate: String, endDate: String, elapsedMs: Number }} span - Span timing, if the log type is a run of a span
+ * @property {Number} evictedCount - Number of messages of the log type evicted by the capacity limits
+ * @property {{ message: String, date: String, sequence: Number }[]} messages - Messages with their dates in ISO format
+ */
+
 /**
  * @typedef LogMessageType
  * @property {String} message - Log message
@@ -200,12 +948,65 @@ class LogType {
     #type;
 
     /**
+     * Messages from #firstMessageIndex on. The positions before it belong to evicted messages and are removed in batches
      * @type {LogMessageType[]}
      */
     #messages = []
 
+    /**
+     * Position of the oldest message not evicted
+     */
+    #firstMessageIndex = 0;
+
     #sequenceAdded = -1;
 
+    /**
+     * Log type this one is nested in
+     * @type {LogType}
+     */
+    #parentType;
+
+    /**
+     * Number of messages of this log type evicted by the capacity limits
+     */
+    #evictedCount = 0;
+
+    /**
+     * Log type of the span, if this log type is one of its runs
+     * @type {LogType}
+     */
+    #spanOf;
+
+    /**
+     * Runs of the span of this log type, one per start()
+     * @type {LogType[]}
+     */
+    #spanRuns = [];
+
+    /**
+     * Timing of this log type when it is a run of a span
+     */
+    #span = {
+        /**
+         * If the span was started at least once
+         */
+        hasStarted: false,
+        /**
+         * Date of the last start
+         * @type {Date}
+         */
+        startDate: undefined,
+        /**
+         * Date of the last end, undefined while running
+         * @type {Date}
+         */
+        endDate: undefined,
+        /**
+         * Milliseconds of the finished runs
+         */
+        elapsedMs: 0
+    }
+
     constructor(tracer, type, idSequence) {
         this.#traceInstance = tracer;
         this.#type = type;
@@ -232,18 +1033,26 @@ class LogType {
      * @param {Date} date - Date the message was added (optional) 
      */
     add(msg, date) {
+        msg = this.#traceInstance._redactMessage(msg);
+
         let messageContent = '';
         if (typeof msg == 'object') {
-            messageContent = JSON.stringify(msg);
+            // Errors and circular objects are also converted without losing their content
+            messageContent = safeStringify(msg);
         } else {
             messageContent = msg;
         }
 
-        this.#messages.push({
+        const message = {
             date: date != undefined && date instanceof Date ? date : new Date(),
             sequence: this.#traceInstance._getNextMessageID(),
             message: messageContent,
-        })
+        };
+        this.#messages.push(message);
+        this.#traceInstance._trackMessage(this, message);
+
+        this.#traceInstance._notifyMessage(this, message);
+        this.#traceInstance._enforceCapacity(this);
 
         return this;
     }
@@ -252,6 +1061,306 @@ class LogType {
      * Returns the log messages
      */
     getMessages() {
+        this.#removeEvictedPositions();
         return this.#messages;
     }
+
+    /**
+     * Returns the number of messages kept in this log type
+     */
+    getTotalMessages() {
+        return this.#messages.length - this.#firstMessageIndex;
+    }
+
+    /**
+     * Starts a new run of the span of this log type, registering the start time
+     ** Each call creates a run nested in this log type (named Type#1, Type#2...), so the same span can run several times at once
+     ** If no parent is given, this log type is nested in the span running in the current async context (started with wrap() or TraceLog.span())
+     * @param {LogType} parentType - Log type to nest this span in (optional)
+     * @returns {LogType} The run started, to add its messages and end it
+     */
+    start(parentType) {
+        // Starting a run again starts a new run of its span
+        if (this.#spanOf != undefined) return this.#spanOf.start(parentType);
+
+        // The parent is validated before the run is created, so an invalid parent leaves the span untouched
+        if (parentType != undefined) {
+            this.setParentType(parentType);
+        } else if (this.#parentType == undefined) {
+            const runningSpan = this.#traceInstance._getCurrentSpan();
+            const runningType = runningSpan != undefined ? runningSpan.#spanOf : undefined;
+
+            if (runningType != undefined && runningType != this && !runningType._isNestedIn(this)) {
+                this.setParentType(runningType);
+            }
+        }
+
+        const spanRun = this.#traceInstance._addSpanRun(this, `${this.#type}#${this.#spanRuns.length + 1}`);
+
+        spanRun.#span.hasStarted = true;
+        spanRun.#span.startDate = new Date();
+        spanRun.add('Span started', spanRun.#span.startDate);
+
+        return spanRun;
+    }
+
+    /**
+     * Ends this run of the span, registering its duration
+     ** Called on the log type of the span, ends its only running run
+     * @returns {LogType} The run ended
+     */
+    end() {
+        if (this.#spanOf == undefined) {
+            const runningRuns = this.#spanRuns.filter(spanRun => spanRun.isRunning());
+
+            if (runningRuns.length > 1) {
+                throw new Error(`The span ${this.#type} has ${runningRuns.length} runs running, end the one returned by start()`);
+            }
+            if (runningRuns.length == 0) {
+                throw new Error(`The span ${this.#type} is not running`);
+            }
+
+            return runningRuns[0].end();
+        }
+
+        if (!this.isRunning()) {
+            throw new Error(`The span ${this.#type} is not running`);
+        }
+
+        this.#span.endDate = new Date();
+        this.#span.elapsedMs = this.#span.endDate.getTime() - this.#span.startDate.getTime();
+
+        this.add(`Span ended after ${this.#span.elapsedMs}ms`, this.#span.endDate);
+        return this;
+    }
+
+    /**
+     * Runs the callback inside a new run of the span of this log type, ending it when the callback finishes or throws
+     ** Spans started inside the callback are nested in this one, including in async calls
+     * @param {(spanRun: LogType) => any} callback - Function to run, receives the run of the span to add messages
+     * @returns {Promise<any>} The value returned by the callback
+     */
+    async wrap(callback) {
+        const spanRun = this.start();
+        try {
+            return await this.#traceInstance._runInSpan(spanRun, () => callback(spanRun));
+        } finally {
+            spanRun.end();
+        }
+    }
+
+    /**
+     * Returns the number of messages of this log type evicted by the capacity limits
+     */
+    getEvictedCount() {
+        return this.#evictedCount;
+    }
+
+    /**
+     * Returns true if this log type was used as a span, or is a run of one
+     */
+    hasSpan() {
+        return this.#span.hasStarted || this.#spanRuns.length != 0;
+    }
+
+    /**
+     * Returns true if this run was started and not ended, or for the log type of a span, if any of its runs is running
+     */
+    isRunning() {
+        if (this.#spanRuns.length != 0) return this.#spanRuns.some(spanRun => spanRun.isRunning());
+        return this.#span.startDate != undefined && this.#span.endDate == undefined;
+    }
+
+    /**
+     * Returns the milliseconds this run has run, including the current time if running
+     ** For the log type of a span, returns the sum of its runs
+     */
+    getDuration() {
+        if (this.#spanRuns.length != 0) {
+            return this.#spanRuns.reduce((total, spanRun) => total + spanRun.getDuration(), 0);
+        }
+        if (this.isRunning()) {
+            return this.#span.elapsedMs + (Date.now() - this.#span.startDate.getTime());
+        }
+        return this.#span.elapsedMs;
+    }
+
+    /**
+     * Returns the log type of the span, if this log type is one of its runs
+     * @returns {LogType | undefined}
+     */
+    getSpanType() {
+        return this.#spanOf;
+    }
+
+    /**
+     * Returns the runs of the span of this log type, in the order they were started
+     * @returns {LogType[]}
+     */
+    getSpanRuns() {
+        return this.#spanRuns.concat();
+    }
+
+    /**
+     * Sets the log type this one is nested in
+     * @param {LogType} parentType - Parent log type
+     */
+    setParentType(parentType) {
+        if (!(parentType instanceof LogType)) {
+            throw new Error('The parent passed is not a log type');
+        }
+
+        // Prevent a type from being nested in itself
+        let ancestor = parentType;
+        while (ancestor != undefined) {
+            if (ancestor == this) {
+                throw new Error(`The log type ${parentType.getType()} cannot be the parent of ${this.#type}`);
+            }
+            ancestor = ancestor.getParentType();
+        }
+
+        this.#parentType = parentType;
+        return this;
+    }
+
+    /**
+     * Returns the log type this one is nested in
+     * @returns {LogType | undefined}
+     */
+    getParentType() {
+        return this.#parentType;
+    }
+
+    /**
+     * Returns true if this log type is nested in the other one, at any depth
+     * @param {LogType} logType
+     */
+    _isNestedIn(logType) {
+        let ancestor = this.#parentType;
+        while (ancestor != undefined) {
+            if (ancestor == logType) return true;
+            ancestor = ancestor.getParentType();
+        }
+        return false;
+    }
+
+    /**
+     * Returns this log type as a plain object
+     * @returns {LogTypeJSON}
+     */
+    toJSON() {
+        const typeData = {
+            type: this.#type,
+            sequenceId: this.#sequenceAdded,
+            messages: this.getMessages().map(message => ({
+                message: message.message,
+                date: message.date.toISOString(),
+                sequence: message.sequence
+            }))
+        };
+
+        if (this.#parentType != undefined) {
+            typeData.parentType = this.#parentType.getType();
+        }
+
+        if (this.#spanOf != undefined) {
+            typeData.spanOf = this.#spanOf.getType();
+        }
+
+        if (this.#evictedCount != 0) {
+            typeData.evictedCount = this.#evictedCount;
+        }
+
+        if (this.#span.hasStarted) {
+            typeData.span = {
+                startDate: this.#span.startDate.toISOString(),
+                endDate: this.#span.endDate != undefined ? this.#span.endDate.toISOString() : undefined,
+                elapsedMs: this.getDuration()
+            };
+        }
+
+        return typeData;
+    }
+
+    /**
+     * Adds an already processed message keeping its original sequence. Used when importing a trace
+     * @param {String} msg - Message content
+     * @param {Date} date - Date the message was added
+     * @param {Number} sequence - Original sequence of the message
+     */
+    _restoreMessage(msg, date, sequence) {
+        const message = {
+            date: date,
+            sequence: sequence,
+            message: msg
+        };
+        this.#messages.push(message);
+        this.#traceInstance._trackMessage(this, message);
+    }
+
+    /**
+     * Removes and returns the oldest message of this log type. Used by the capacity limits of the trace
+     ** Only moves the start of the messages, the evicted positions are removed in batches
+     * @returns {LogMessageType}
+     */
+    _evictOldestMessage() {
+        const message = this.#messages[this.#firstMessageIndex];
+        this.#messages[this.#firstMessageIndex] = undefined;
+        this.#firstMessageIndex++;
+        this.#evictedCount++;
+
+        if (this.#firstMessageIndex >= 1024 && this.#firstMessageIndex * 2 >= this.#messages.length) {
+            this.#removeEvictedPositions();
+        }
+
+        return message;
+    }
+
+    /**
+     * Returns true if the message of this log type was already evicted
+     * @param {LogMessageType} message
+     */
+    _isMessageEvicted(message) {
+        const oldestMessage = this.#messages[this.#firstMessageIndex];
+        return oldestMessage == undefined || message.sequence < oldestMessage.sequence;
+    }
+
+    /**
+     * Removes the positions of the evicted messages from the list
+     */
+    #removeEvictedPositions() {
+        if (this.#firstMessageIndex == 0) return;
+
+        this.#messages = this.#messages.slice(this.#firstMessageIndex);
+        this.#firstMessageIndex = 0;
+    }
+
+    /**
+     * Makes this log type a run of the span of another one, nested in it
+     * @param {LogType} spanType - Log type of the span
+     */
+    _setSpanOf(spanType) {
+        this.#spanOf = spanType;
+        this.#parentType = spanType;
+        spanType.#spanRuns.push(this);
+    }
+
+    /**
+     * Restores the eviction counter of an imported trace
+     * @param {Number} evictedCount
+     */
+    _restoreEvictedCount(evictedCount) {
+        this.#evictedCount = evictedCount;
+    }
+
+    /**
+     * Restores the span timing of an imported trace. A span still running when exported is restored as ended
+     * @param {{ startDate: String, endDate: String, elapsedMs: Number }} spanData - Exported span
+     */
+    _restoreSpan(spanData) {
+        this.#span.hasStarted = true;
+        this.#span.startDate = new Date(spanData.startDate);
+        this.#span.endDate = spanData.endDate != undefined ? new Date(spanData.endDate) : new Date(this.#span.startDate.getTime() + spanData.elapsedMs);
+        this.#span.elapsedMs = spanData.elapsedMs;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,752 @@
+import path from "path";
+import fs from "fs";
+import { formatDateToString } from "../Date/FormatDates.js";
+import { isLevelEnabled, validateLogLevel } from "./LogLevels.js";
+import { applyRetention, applyRetentionAsync, rotateFile, rotateFileSync } from "./LogRotation.js";
+import { formatConsoleLine, formatJsonLine, formatTextContext, formatTextMessage, shouldUseColors } from "./Formatters.js";
+
+/**
+ * @typedef {import('./Logger.js').LogEntry} LogEntry
+ * @typedef {import('./Logger.js').Logger} Logger
+ */
+
+/**
+ * Function that turns a log entry into the text written by a transport
+ * @callback LogFormatter
+ * @param {LogEntry} entry - Entry being written
+ * @param {Logger} logger - Logger that created the entry
+ * @returns {String}
+ */
+
+/**
+ * Common parameters of every transport
+ * @typedef TransportParameters
+ * @property {'trace'|'debug'|'info'|'warn'|'error'|'fatal'} minLevel - Minimum level of the entries this transport writes (default 'trace')
+ * @property {LogFormatter} formatter - Custom formatter for the entries of this transport
+ */
+
+/**
+ * Base class of a destination where the Logger writes its entries
+ */
+export class LogTransport {
+
+    /**
+     * Kind of the transport. The 'console' and 'file' kinds respect the console/file toggles of the Logger
+     * @type {String}
+     */
+    kind = 'custom';
+
+    #minLevel = 'trace';
+
+    /**
+     * @type {LogFormatter}
+     */
+    #formatter;
+
+    /**
+     * Instantiate a transport
+     * @param {TransportParameters} params - Transport parameters
+     */
+    constructor(params) {
+        if (params != undefined) {
+            if (params.minLevel != undefined) {
+                validateLogLevel(params.minLevel);
+                this.#minLevel = params.minLevel;
+            }
+
+            if (params.formatter != undefined) this.#formatter = params.formatter;
+        }
+    }
+
+    /**
+     * Returns the minimum level of this transport
+     */
+    getMinLevel() {
+        return this.#minLevel;
+    }
+
+    /**
+     * Change the minimum level of this transport
+     * @param {'trace'|'debug'|'info'|'warn'|'error'|'fatal'} level
+     */
+    setMinLevel(level) {
+        validateLogLevel(level);
+        this.#minLevel = level;
+    }
+
+    /**
+     * Format and write the entry if it passes the level filter of this transport
+     * @param {LogEntry} entry - Entry to write
+     * @param {Logger} logger - Logger that created the entry
+     */
+    log(entry, logger) {
+        if (!isLevelEnabled(entry.level, this.#minLevel)) return;
+
+        const formatted = this.#formatter != undefined ? this.#formatter(entry, logger) : this.format(entry, logger);
+        this.write(formatted, entry, logger);
+    }
+
+    /**
+     * Write any pending entry. Transports that buffer entries override this
+     * @returns {Promise<void>}
+     */
+    async flush() { }
+
+    /**
+     * Write any pending entry and release the resources of the transport
+     * @returns {Promise<void>}
+     */
+    async close() { }
+
+    /**
+     * Default formatting of the transport, used when no formatter was given
+     * @param {LogEntry} entry
+     * @param {Logger} logger
+     * @returns {String}
+     */
+    format(entry, logger) {
+        return formatConsoleLine(entry, logger, logger.getConsoleFormat(), false);
+    }
+
+    /**
+     * Write the formatted entry to the destination. Must be implemented by each transport
+     * @param {String} formatted - Formatted entry
+     * @param {LogEntry} entry - Original entry
+     * @param {Logger} logger - Logger that created the entry
+     */
+    write(formatted, entry, logger) {
+        throw new Error('The transport does not implement write()');
+    }
+}
+
+/**
+ * Writes the entries to the console
+ */
+export class ConsoleTransport extends LogTransport {
+    kind = 'console';
+
+    /**
+     * @param {TransportParameters} params - Transport parameters
+     */
+    constructor(params) {
+        super(params);
+    }
+
+    format(entry, logger) {
+        const consoleFormat = logger.getConsoleFormat();
+        return formatConsoleLine(entry, logger, consoleFormat, shouldUseColors(consoleFormat.colors));
+    }
+
+    write(formatted) {
+        console.log(formatted);
+    }
+}
+
+/**
+ * Parameters of the file transport
+ * @typedef FileTransportParameters
+ * @property {'text'|'json'} fileFormat - Format of the file entries. If not defined, the format of the logger is used
+ * @property {Boolean} async - If true, the entries are queued and written in batches through a write stream per file instead of synchronously (default false)
+ * @property {Number} flushIntervalMs - In async mode, maximum time an entry waits in the queue before being written (default 100)
+ * @property {Number} maxBatchSize - In async mode, number of queued entries that triggers an immediate write (default 1000)
+ * @property {Number} maxFileSizeBytes - Size a log file can reach before being rotated to name.1.log, name.2.log... (default no rotation)
+ * @property {Boolean} compressRotated - If the rotated files should be compressed with gzip (default false)
+ * @property {Number} maxRotatedFiles - Number of rotated files kept per log file. When reached, the oldest is deleted on the next rotation (default no limit)
+ * @property {import('./LogRotation.js').RetentionPolicy} retention - Policy used to delete old date folders of the log directory
+ * @property {(error: Error, filePath: String) => void} onError - In async mode, receives the errors of the writes. The entries that failed stay in the queue and are retried with the next flush (default process.emitWarning)
+ */
+
+/**
+ * Time a write stream can stay without entries before being closed
+ */
+const IDLE_STREAM_TIMEOUT_MS = 60000;
+
+/**
+ * Writes the entries to the daily log file of the logger that created them
+ */
+export class FileTransport extends LogTransport {
+    kind = 'file';
+
+    /**
+     * Format of the file entries. If not defined, the format of the logger is used
+     * @type {'text'|'json'}
+     */
+    #fileFormat;
+
+    #isAsync = false;
+    #flushIntervalMs = 100;
+    #maxBatchSize = 1000;
+
+    #maxFileSizeBytes;
+    #shouldCompressRotated = false;
+    #maxRotatedFiles;
+
+    /**
+     * @type {import('./LogRotation.js').RetentionPolicy}
+     */
+    #retention;
+
+    /**
+     * Known size of the log files, by file path
+     * @type {Map<String, Number>}
+     */
+    #fileSizes = new Map();
+
+    /**
+     * Root directories and days where the retention policy was already applied
+     * @type {Set<String>}
+     */
+    #retentionChecks = new Set();
+
+    /**
+     * In async mode, root directories whose retention is applied before the next batch is written
+     * @type {Set<String>}
+     */
+    #pendingRetentions = new Set();
+
+    /**
+     * Entries waiting to be written, by file path
+     * @type {Map<String, String[]>}
+     */
+    #queues = new Map();
+
+    /**
+     * Open write streams, by file path
+     * @type {Map<String, { stream: fs.WriteStream, lastUsed: Number }>}
+     */
+    #streams = new Map();
+
+    #flushTimeout;
+
+    /**
+     * Promise of the write in progress, so the batches are written one after the other
+     * @type {Promise<void>}
+     */
+    #currentFlush = Promise.resolve();
+
+    /**
+     * If the last write of the queues failed. While true, the queue is only retried by the timer, an explicit flush or the exit of the process
+     */
+    #hasFailedWrite = false;
+
+    /**
+     * @type {(error: Error, filePath: String) => void}
+     */
+    #onError;
+
+    /**
+     * @param {TransportParameters & FileTransportParameters} params - Transport parameters
+     */
+    constructor(params) {
+        super(params);
+
+        if (params != undefined) {
+            if (params.fileFormat != undefined) {
+                if (params.fileFormat != 'text' && params.fileFormat != 'json') {
+                    throw new Error(`Invalid file format: ${params.fileFormat}`);
+                }
+                this.#fileFormat = params.fileFormat;
+            }
+
+            if (params.async != undefined) this.#isAsync = params.async;
+            if (params.flushIntervalMs != undefined) this.#flushIntervalMs = params.flushIntervalMs;
+            if (params.maxBatchSize != undefined) this.#maxBatchSize = params.maxBatchSize;
+            if (params.maxFileSizeBytes != undefined) this.#maxFileSizeBytes = params.maxFileSizeBytes;
+            if (params.compressRotated != undefined) this.#shouldCompressRotated = params.compressRotated;
+
+            if (params.maxRotatedFiles != undefined) {
+                if (!Number.isInteger(params.maxRotatedFiles) || params.maxRotatedFiles < 1) {
+                    throw new Error(`Invalid maximum of rotated files: ${params.maxRotatedFiles}. Expected a positive integer`);
+                }
+                this.#maxRotatedFiles = params.maxRotatedFiles;
+            }
+            if (params.retention != undefined) this.#retention = params.retention;
+            if (params.onError != undefined) this.#onError = params.onError;
+        }
+    }
+
+    /**
+     * Returns true if this transport writes the entries asynchronously
+     */
+    isAsync() {
+        return this.#isAsync;
+    }
+
+    format(entry, logger) {
+        const fileFormat = this.#fileFormat != undefined ? this.#fileFormat : logger.getFileFormat();
+
+        if (fileFormat == 'json') {
+            return formatJsonLine(entry, logger);
+        }
+
+        return `[${formatDateToString(entry.date, '%hour%:%minute%:%second%')}] [${entry.level.toUpperCase()}] -> ${formatTextContext(entry)}${formatTextMessage(entry)}`;
+    }
+
+    write(formatted, entry, logger) {
+        const saveDirectory = logger.getSaveDirectory().complete;
+
+        if (this.#retention != undefined) {
+            // Apply the retention once a day for each log directory
+            const retentionKey = `${logger.getRootDirectory()}|${logger.getDate()}`;
+            if (!this.#retentionChecks.has(retentionKey)) {
+                this.#retentionChecks.add(retentionKey);
+
+                if (this.#isAsync) {
+                    // Walking and deleting the folders would block the caller, so it is done with the next batch
+                    this.#pendingRetentions.add(logger.getRootDirectory());
+                } else {
+                    try {
+                        applyRetention(logger.getRootDirectory(), this.#retention);
+                    } catch (ex) { }
+                }
+            }
+        }
+
+        if (!this.#isAsync) {
+            this.#appendLinesSync(saveDirectory, [formatted]);
+            return;
+        }
+
+        this.#queueLines(saveDirectory, [formatted]);
+
+        let totalQueued = 0;
+        for (const pendingQueue of this.#queues.values()) {
+            totalQueued += pendingQueue.length;
+        }
+
+        // After a failed write the queue is retried by the timer, so a failing file does not trigger a write per entry
+        if (totalQueued >= this.#maxBatchSize && !this.#hasFailedWrite) {
+            this.#flushInBackground();
+        } else if (this.#flushTimeout == undefined) {
+            this.#flushTimeout = setTimeout(() => {
+                this.#flushInBackground();
+            }, this.#flushIntervalMs);
+            this.#flushTimeout.unref();
+        }
+    }
+
+    /**
+     * Write all queued entries to their files
+     ** Resolves when the entries queued until now are written. Rejects if a file could not be written, its entries stay in the queue
+     * @returns {Promise<void>}
+     */
+    flush() {
+        const flushPromise = this.#currentFlush.then(() => this.#writeQueues());
+
+        // A failed write should not block the next ones
+        this.#currentFlush = flushPromise.catch(() => { });
+
+        return flushPromise;
+    }
+
+    /**
+     * Write all queued entries and close the open files
+     * @returns {Promise<void>}
+     */
+    async close() {
+        try {
+            await this.flush();
+        } finally {
+            for (const { stream } of this.#streams.values()) {
+                await new Promise(resolve => stream.end(resolve));
+            }
+            this.#streams.clear();
+
+            // Entries that could not be written are kept until the process exits
+            if (this.#queues.size == 0) FileTransport.#untrackPendingWrites(this);
+        }
+    }
+
+    /**
+     * Flush without waiting, used by the timer and the batch size. The errors were already reported to onError
+     */
+    #flushInBackground() {
+        this.flush().catch(() => { });
+    }
+
+    /**
+     * Add the lines to the end of the queue of the file
+     * @param {String} filePath - Path of the file
+     * @param {String[]} lines - Lines to queue
+     */
+    #queueLines(filePath, lines) {
+        const queue = this.#queues.get(filePath);
+
+        if (queue == undefined) {
+            this.#queues.set(filePath, lines.concat());
+        } else {
+            queue.push(...lines);
+        }
+
+        FileTransport.#trackPendingWrites(this);
+    }
+
+    /**
+     * Write the queued entries in batches, one per file
+     ** Each file is written independently: the lines of a file that fails are put back in the queue and the error is reported, the other files are still written
+     */
+    async #writeQueues() {
+        if (this.#flushTimeout != undefined) {
+            clearTimeout(this.#flushTimeout);
+            this.#flushTimeout = undefined;
+        }
+
+        for (const rootDirectory of this.#pendingRetentions) {
+            this.#pendingRetentions.delete(rootDirectory);
+            try {
+                await applyRetentionAsync(rootDirectory, this.#retention);
+            } catch (ex) { }
+        }
+
+        const queues = this.#queues;
+        this.#queues = new Map();
+
+        const errors = [];
+
+        for (const [filePath, lines] of queues) {
+            const unwrittenLines = await this.#writeFileLines(filePath, lines).catch((ex) => {
+                errors.push(ex);
+                this.#reportError(ex, filePath);
+                return ex.unwrittenLines;
+            });
+
+            if (unwrittenLines != undefined && unwrittenLines.length != 0) {
+                // Keep the order: the failed lines go before the ones queued while writing
+                const queuedMeanwhile = this.#queues.get(filePath);
+                this.#queues.set(filePath, queuedMeanwhile != undefined ? unwrittenLines.concat(queuedMeanwhile) : unwrittenLines);
+            }
+        }
+
+        this.#hasFailedWrite = errors.length != 0;
+
+        if (this.#queues.size == 0) {
+            FileTransport.#untrackPendingWrites(this);
+        } else {
+            FileTransport.#trackPendingWrites(this);
+        }
+
+        // Close the files that are no longer receiving entries, like the ones of previous days
+        const now = Date.now();
+        for (const [filePath, openStream] of this.#streams) {
+            if (now - openStream.lastUsed > IDLE_STREAM_TIMEOUT_MS) {
+                openStream.stream.end();
+                this.#streams.delete(filePath);
+            }
+        }
+
+        if (errors.length == 1) throw errors[0];
+        if (errors.length > 1) throw new AggregateError(errors, `${errors.length} log files could not be written`);
+    }
+
+    /**
+     * Write the lines to the file through its stream, rotating it when needed
+     ** If a write fails, the error has the lines not written yet in unwrittenLines
+     * @param {String} filePath - Path of the file
+     * @param {String[]} lines - Lines to write
+     */
+    async #writeFileLines(filePath, lines) {
+        // Read the size of an existing file here, so the split does not block to read it
+        if (this.#maxFileSizeBytes != undefined && !this.#fileSizes.has(filePath)) {
+            this.#fileSizes.set(filePath, await fs.promises.stat(filePath).then(stats => stats.size, () => 0));
+        }
+
+        const chunks = this.#splitForRotation(filePath, lines);
+
+        for (let index = 0; index < chunks.length; index++) {
+            const chunk = chunks[index];
+
+            try {
+                if (chunk.shouldRotateBefore) {
+                    const openStream = this.#streams.get(filePath);
+                    if (openStream != undefined) {
+                        this.#streams.delete(filePath);
+                        await new Promise(resolve => openStream.stream.end(resolve));
+                    }
+                    await rotateFile(filePath, this.#shouldCompressRotated, this.#maxRotatedFiles);
+                }
+
+                const stream = await this.#getStream(filePath);
+
+                await new Promise((resolve, reject) => {
+                    stream.write(chunk.content, (err) => {
+                        if (err) reject(err);
+                        else resolve();
+                    });
+                });
+            } catch (ex) {
+                // The stream can't be reused and the known size is no longer right
+                const failedStream = this.#streams.get(filePath);
+                if (failedStream != undefined) {
+                    this.#streams.delete(filePath);
+                    failedStream.stream.destroy();
+                }
+                this.#fileSizes.delete(filePath);
+
+                ex.unwrittenLines = chunks.slice(index).flatMap(unwrittenChunk => unwrittenChunk.content.slice(0, -1).split('\n'));
+                throw ex;
+            }
+        }
+    }
+
+    /**
+     * Write the queued entries synchronously. Used when the process is exiting
+     */
+    #writeQueuesSync() {
+        for (const [filePath, lines] of this.#queues) {
+            try {
+                this.#appendLinesSync(filePath, lines);
+            } catch (ex) {
+                this.#reportError(ex, filePath);
+            }
+        }
+        this.#queues.clear();
+        FileTransport.#untrackPendingWrites(this);
+    }
+
+    /**
+     * Send the error of an async write to onError, or to process.emitWarning if it was not defined
+     * @param {Error} error - Error of the write
+     * @param {String} filePath - Path of the file that could not be written
+     */
+    #reportError(error, filePath) {
+        try {
+            if (this.#onError != undefined) {
+                this.#onError(error, filePath);
+            } else {
+                process.emitWarning(`Could not write the log file ${filePath}: ${error.message}`);
+            }
+        } catch (ex) { }
+    }
+
+    /**
+     * Async transports with queued entries, written when the process exits
+     * @type {Set<FileTransport>}
+     */
+    static #pendingTransports = new Set();
+
+    /**
+     * Flushes the pending transports when the event loop is empty. Transports whose last write failed are left to the exit listener, so a failing file does not keep the process alive
+     */
+    static #beforeExitListener = () => {
+        for (const transport of FileTransport.#pendingTransports) {
+            if (!transport.#hasFailedWrite) transport.#flushInBackground();
+        }
+    };
+
+    /**
+     * Writes synchronously what is left in the queues when the process exits
+     */
+    static #exitListener = () => {
+        for (const transport of Array.from(FileTransport.#pendingTransports)) {
+            transport.#writeQueuesSync();
+        }
+    };
+
+    /**
+     * Register a transport with queued entries. A single pair of process listeners is shared by all the transports
+     * @param {FileTransport} transport
+     */
+    static #trackPendingWrites(transport) {
+        if (FileTransport.#pendingTransports.has(transport)) return;
+
+        if (FileTransport.#pendingTransports.size == 0) {
+            process.on('beforeExit', FileTransport.#beforeExitListener);
+            process.on('exit', FileTransport.#exitListener);
+        }
+        FileTransport.#pendingTransports.add(transport);
+    }
+
+    /**
+     * Unregister a transport whose queue is empty, removing the process listeners when no transport has queued entries
+     * @param {FileTransport} transport
+     */
+    static #untrackPendingWrites(transport) {
+        if (!FileTransport.#pendingTransports.delete(transport)) return;
+
+        if (FileTransport.#pendingTransports.size == 0) {
+            process.removeListener('beforeExit', FileTransport.#beforeExitListener);
+            process.removeListener('exit', FileTransport.#exitListener);
+        }
+    }
+
+    /**
+     * Append the lines to the file synchronously, rotating it when needed
+     * @param {String} filePath - Path of the file
+     * @param {String[]} lines - Lines to append
+     */
+    #appendLinesSync(filePath, lines) {
+        if (!fs.existsSync(path.dirname(filePath))) {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        }
+
+        for (const chunk of this.#splitForRotation(filePath, lines)) {
+            if (chunk.shouldRotateBefore) {
+                rotateFileSync(filePath, this.#shouldCompressRotated, this.#maxRotatedFiles);
+            }
+            fs.appendFileSync(filePath, chunk.content, { encoding: 'utf-8' });
+        }
+    }
+
+    /**
+     * Splits the lines into the chunks written to each file generation, according to the maximum file size
+     ** The known size of the file is updated as if all chunks were written
+     * @param {String} filePath - Path of the file
+     * @param {String[]} lines - Lines to write
+     * @returns {{ content: String, shouldRotateBefore: Boolean }[]}
+     */
+    #splitForRotation(filePath, lines) {
+        if (this.#maxFileSizeBytes == undefined) {
+            return [{ content: `${lines.join('\n')}\n`, shouldRotateBefore: false }];
+        }
+
+        let currentSize = this.#fileSizes.get(filePath);
+        if (currentSize == undefined) {
+            currentSize = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+        }
+
+        const chunks = [];
+        let chunk = { content: '', shouldRotateBefore: false };
+
+        for (const line of lines) {
+            const lineSize = Buffer.byteLength(`${line}\n`);
+
+            // A line bigger than the limit is still written, alone in its file
+            if (currentSize != 0 && currentSize + lineSize > this.#maxFileSizeBytes) {
+                if (chunk.content != '') chunks.push(chunk);
+                chunk = { content: '', shouldRotateBefore: true };
+                currentSize = 0;
+            }
+
+            chunk.content += `${line}\n`;
+            currentSize += lineSize;
+        }
+        chunks.push(chunk);
+
+        this.#fileSizes.set(filePath, currentSize);
+        return chunks;
+    }
+
+    /**
+     * Returns the open write stream of the file, creating it if necessary
+     * @param {String} filePath - Path of the file
+     * @returns {Promise<fs.WriteStream>}
+     */
+    async #getStream(filePath) {
+        let openStream = this.#streams.get(filePath);
+
+        if (openStream == undefined) {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+            const stream = fs.createWriteStream(filePath, { flags: 'a', encoding: 'utf-8' });
+
+            // Errors are reported through the write callbacks
+            stream.on('error', () => { });
+
+            openStream = { stream: stream, lastUsed: Date.now() };
+            this.#streams.set(filePath, openStream);
+        }
+
+        openStream.lastUsed = Date.now();
+        return openStream.stream;
+    }
+}
+
+/**
+ * @typedef MemoryRecord
+ * @property {Date} date - Date the entry was created
+ * @property {String} level - Level of the entry
+ * @property {String[]} logger - Logger sequence that created the entry
+ * @property {*} message - Message as passed to the logger
+ * @property {Object} metadata - Structured data attached to the entry
+ * @property {Object} context - Context fields of the entry
+ * @property {String} formatted - Formatted entry
+ */
+
+/**
+ * Keeps the last entries in memory, useful for tests
+ */
+export class MemoryTransport extends LogTransport {
+
+    kind = 'memory';
+
+    /**
+     * @type {MemoryRecord[]}
+     */
+    #records = [];
+
+    #capacity = 1000;
+
+    /**
+     * @param {TransportParameters & { capacity: Number }} params - Transport parameters. capacity is the maximum number of entries kept, the oldest are discarded first (default 1000)
+     */
+    constructor(params) {
+        super(params);
+
+        if (params != undefined && params.capacity != undefined) {
+            if (params.capacity < 1) {
+                throw new Error('The capacity must be at least 1');
+            }
+            this.#capacity = params.capacity;
+        }
+    }
+
+    write(formatted, entry, logger) {
+        this.#records.push({
+            date: entry.date,
+            level: entry.level,
+            logger: logger.getLoggerSequence(),
+            message: entry.message,
+            metadata: entry.metadata,
+            context: entry.context,
+            formatted: formatted
+        });
+
+        if (this.#records.length > this.#capacity) {
+            this.#records.splice(0, this.#records.length - this.#capacity);
+        }
+    }
+
+    /**
+     * Returns the stored entries, from the oldest to the newest
+     */
+    getRecords() {
+        return this.#records.concat();
+    }
+
+    /**
+     * Remove all stored entries
+     */
+    clear() {
+        this.#records = [];
+    }
+}
+
+/**
+ * Sends the entries to a user supplied function
+ */
+export class FunctionTransport extends LogTransport {
+
+    kind = 'function';
+
+    /**
+     * @type {(formatted: String, entry: LogEntry, logger: Logger) => void}
+     */
+    #callback;
+
+    /**
+     * @param {(formatted: String, entry: LogEntry, logger: Logger) => void} callback - Function that receives each entry
+     * @param {TransportParameters} params - Transport parameters
+     */
+    constructor(callback, params) {
+        super(params);
+
+        if (typeof callback != 'function') {
+            throw new Error('The callback passed is not a function');
+        }
+        this.#callback = callback;
+    }
+
+    write(formatted, entry, logger) {
+        this.#callback(formatted, entry, logger);
+    }
+}
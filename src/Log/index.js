@@ -1,7 +1,17 @@
 import { Logger } from "./Logger.js";
+import { LogLevels } from "./LogLevels.js";
 import { TraceLog } from "./TraceLog.js";
+import { Redactor } from "./Redaction.js";
+import { ConsoleTransport, FileTransport, FunctionTransport, LogTransport, MemoryTransport } from "./Transports.js";
 
 export {
     Logger,
-    TraceLog
+    LogLevels,
+    TraceLog,
+    Redactor,
+    LogTransport,
+    ConsoleTransport,
+    FileTransport,
+    MemoryTransport,
+    FunctionTransport
 }
\ No newline at end of file
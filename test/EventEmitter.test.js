@@ -0,0 +1,217 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { EventEmitter, createLoggingMiddleware } from "../src/EventEmitter/index.js";
+
+test('reports exceptions with process.emitWarning when there is no onError hook nor error listener', async () => {
+    const emitter = new EventEmitter('errors');
+    emitter.addEvent('save', () => { throw new Error('disk full'); });
+
+    const warning = once(process, 'warning');
+    const result = await emitter.emitAsync('save');
+    const [reportedError] = await warning;
+
+    assert.equal(result.hasErrors, true);
+    assert.equal(reportedError.message, 'disk full');
+});
+
+test('reports exceptions to the onError hook and to the error listeners', async () => {
+    const received = [];
+    const emitter = new EventEmitter('errors', {
+        onError: (error, details) => received.push(`hook:${error.message}:${details.eventName}`)
+    });
+    emitter.addEvent('error', (error, details) => received.push(`listener:${error.message}:${details.eventName}`));
+    emitter.addEvent('save', () => { throw new Error('disk full'); });
+
+    await emitter.emitAsync('save');
+
+    assert.deepEqual(received, ['hook:disk full:save', 'listener:disk full:save']);
+});
+
+test('does not warn when an error listener receives the exception', async () => {
+    let warnings = 0;
+    const onWarning = () => warnings++;
+    process.on('warning', onWarning);
+
+    const emitter = new EventEmitter('errors');
+    emitter.addEvent('error', () => { });
+    emitter.addEvent('save', () => { throw new Error('disk full'); });
+    await emitter.emitAsync('save');
+    await new Promise((resolve) => setImmediate(resolve));
+
+    process.off('warning', onWarning);
+    assert.equal(warnings, 0);
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Returns a callback that records the calls and waits before finishing
+ * @param {any[]} calls - List where the arguments of the calls are added
+ * @param {Number} durationMs - Time each call takes
+ */
+function createSlowCallback(calls, durationMs) {
+    return async (value) => {
+        calls.push(value);
+        await sleep(durationMs);
+    };
+}
+
+test("concurrency 'drop' skips the calls made while the callback is running", async () => {
+    const calls = [];
+    const emitter = new EventEmitter('concurrency');
+    emitter.addEvent('job', createSlowCallback(calls, 20), { concurrency: 'drop' });
+
+    const results = await Promise.all([emitter.emitAsync('job', 1), emitter.emitAsync('job', 2)]);
+
+    assert.deepEqual(calls, [1]);
+    assert.equal(results[1].results[0].status, 'skipped');
+});
+
+test("concurrency 'queue' runs the calls one after the other in order", async () => {
+    const calls = [];
+    const emitter = new EventEmitter('concurrency');
+    const listener = emitter.addEvent('job', createSlowCallback(calls, 10), { concurrency: 'queue' });
+
+    const pending = [1, 2, 3].map((value) => emitter.emitAsync('job', value));
+    assert.equal(listener.getQueueState().pending, 2);
+
+    await Promise.all(pending);
+    assert.deepEqual(calls, [1, 2, 3]);
+});
+
+test("concurrency 'latest' only runs the last pending call", async () => {
+    const calls = [];
+    const emitter = new EventEmitter('concurrency');
+    emitter.addEvent('job', createSlowCallback(calls, 10), { concurrency: 'latest' });
+
+    await Promise.all([1, 2, 3].map((value) => emitter.emitAsync('job', value)));
+
+    assert.deepEqual(calls, [1, 3]);
+});
+
+test('a numeric concurrency limits the simultaneous runs', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const emitter = new EventEmitter('concurrency');
+    emitter.addEvent('job', async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await sleep(10);
+        running--;
+    }, { concurrency: 2 });
+
+    await Promise.all([1, 2, 3, 4, 5].map((value) => emitter.emitAsync('job', value)));
+
+    assert.equal(maxRunning, 2);
+    assert.throws(() => emitter.addEvent('job', () => { }, { concurrency: 0 }), /Invalid concurrency/);
+});
+
+test('debounce runs the callback once with the arguments of the last call', async () => {
+    const calls = [];
+    const emitter = new EventEmitter('rate');
+    emitter.addEvent('input', (value) => calls.push(value), { debounceMs: 20 });
+
+    emitter.emitEvent('input', 'a');
+    emitter.emitEvent('input', 'ab');
+    emitter.emitEvent('input', 'abc');
+    await sleep(60);
+
+    assert.deepEqual(calls, ['abc']);
+});
+
+test('throttle skips the calls made before the interval passes', async () => {
+    const calls = [];
+    const emitter = new EventEmitter('rate');
+    const listener = emitter.addEvent('scroll', (value) => calls.push(value), { throttleMs: 30 });
+
+    emitter.emitEvent('scroll', 1);
+    emitter.emitEvent('scroll', 2);
+    await sleep(60);
+    emitter.emitEvent('scroll', 3);
+    await sleep(0);
+
+    assert.deepEqual(calls, [1, 3]);
+    assert.equal(listener.getStats().skipped, 1);
+});
+
+test('before hooks run in order and can change or cancel the emission, after hooks run in reverse order', async () => {
+    const order = [];
+    const calls = [];
+    const emitter = new EventEmitter('middlewares');
+    emitter.addEvent('order', (value) => calls.push(value));
+
+    emitter.use({ before: (emission) => { order.push('before 1'); emission.args = [emission.args[0] * 10]; }, after: () => { order.push('after 1'); } });
+    const second = emitter.use({ before: () => { order.push('before 2'); }, after: () => { order.push('after 2'); } });
+
+    await emitter.emitAsync('order', 1);
+    assert.deepEqual(calls, [10]);
+    assert.deepEqual(order, ['before 1', 'before 2', 'after 2', 'after 1']);
+
+    second.remove();
+    emitter.use((emission) => emission.cancel());
+    const result = await emitter.emitAsync('order', 2);
+
+    assert.equal(result.isCanceled, true);
+    assert.deepEqual(calls, [10]);
+});
+
+test('the logging middleware logs the emits with the error level when a callback failed', async () => {
+    const entries = [];
+    const logger = { log: (message, params) => entries.push({ message: message, level: params.level }) };
+    const emitter = new EventEmitter('middlewares', { onError: () => { } });
+    emitter.use(createLoggingMiddleware(logger));
+
+    emitter.addEvent('ok', () => { });
+    emitter.addEvent('fail', () => { throw new Error('boom'); });
+    await emitter.emitAsync('ok');
+    await emitter.emitAsync('fail');
+
+    assert.deepEqual(entries, [
+        { message: 'Event ok emitted', level: 'debug' },
+        { message: 'Event fail emitted (1 callback(s) failed)', level: 'error' }
+    ]);
+});
+
+test('sticky events deliver their last payload to the callbacks registered later', () => {
+    const received = [];
+    const emitter = new EventEmitter('sticky', { stickyEvents: ['ready'] });
+
+    emitter.emitEvent('ready', 'first');
+    emitter.emitEvent('ready', 'second');
+    emitter.addEvent('ready', (value, context) => received.push([value, context.isReplay()]), { receiveContext: true });
+    emitter.emitEvent('ready', 'third');
+
+    assert.deepEqual(received, [['second', true], ['third', false]]);
+
+    emitter.clearSticky('ready');
+    emitter.addEvent('ready', (value) => received.push([value]));
+    assert.equal(received.length, 2);
+});
+
+test('waitFor resolves right away with the payload of a sticky event', async () => {
+    const emitter = new EventEmitter('sticky', { stickyEvents: ['ready'] });
+    emitter.emitEvent('ready', 42);
+
+    assert.deepEqual(await emitter.waitFor('ready'), [42]);
+    assert.equal(emitter.listenerCount('ready'), 0);
+});
+
+test('the history keeps the last emissions per event and replays them on request', () => {
+    const replayed = [];
+    const emitter = new EventEmitter('history', { historySize: 2 });
+
+    for (const value of [1, 2, 3]) emitter.emitEvent('tick', value);
+    emitter.emitEvent('tock', 'a');
+
+    assert.deepEqual(emitter.getHistory('tick').map((record) => record.args[0]), [2, 3]);
+    assert.deepEqual(emitter.getHistory('*').map((record) => record.eventName), ['tick', 'tick', 'tock']);
+    assert.deepEqual(emitter.getHistory('tick', { last: 1 }).map((record) => record.args[0]), [3]);
+
+    emitter.addEvent('tick', (value) => replayed.push(value), { replay: { last: 2 } });
+    assert.deepEqual(replayed, [2, 3]);
+
+    emitter.clearHistory('tick');
+    assert.equal(emitter.getHistory('tick').length, 0);
+    assert.equal(emitter.getHistory('tock').length, 1);
+});
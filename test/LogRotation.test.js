@@ -0,0 +1,92 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import zlib from "zlib";
+import { applyRetention, applyRetentionAsync, rotateFile, rotateFileSync } from "../src/Log/LogRotation.js";
+
+const tempDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'rotation-test-'));
+after(() => fs.rmSync(tempDirectory, { recursive: true, force: true }));
+
+/**
+ * Creates a new empty directory for a test
+ * @param {String} name
+ */
+function createDirectory(name) {
+    const directory = path.join(tempDirectory, name);
+    fs.mkdirSync(directory, { recursive: true });
+    return directory;
+}
+
+/**
+ * Writes the file, creating its directory
+ * @param {String} filePath
+ * @param {String} content
+ */
+function writeFile(filePath, content) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+}
+
+test('rotateFileSync moves the generations up and keeps at most maxFiles', () => {
+    const filePath = path.join(createDirectory('sync'), 'app.log');
+
+    for (let generation = 1; generation <= 4; generation++) {
+        writeFile(filePath, `generation ${generation}`);
+        rotateFileSync(filePath, false, 2);
+    }
+
+    assert.deepEqual(fs.readdirSync(path.dirname(filePath)).sort(), ['app.1.log', 'app.2.log']);
+    assert.equal(fs.readFileSync(path.join(path.dirname(filePath), 'app.1.log'), 'utf-8'), 'generation 4');
+    assert.equal(fs.readFileSync(path.join(path.dirname(filePath), 'app.2.log'), 'utf-8'), 'generation 3');
+});
+
+test('rotateFile compresses the rotated file and keeps at most maxFiles', async () => {
+    const filePath = path.join(createDirectory('async'), 'app.log');
+
+    for (let generation = 1; generation <= 3; generation++) {
+        writeFile(filePath, `generation ${generation}`);
+        await rotateFile(filePath, true, 2);
+    }
+
+    const directory = path.dirname(filePath);
+    assert.deepEqual(fs.readdirSync(directory).sort(), ['app.1.log.gz', 'app.2.log.gz']);
+    assert.equal(zlib.gunzipSync(fs.readFileSync(path.join(directory, 'app.1.log.gz'))).toString(), 'generation 3');
+});
+
+test('rotation without maxFiles keeps every generation', () => {
+    const filePath = path.join(createDirectory('unlimited'), 'app.log');
+
+    for (let generation = 1; generation <= 3; generation++) {
+        writeFile(filePath, `generation ${generation}`);
+        rotateFileSync(filePath, false);
+    }
+
+    assert.equal(fs.readdirSync(path.dirname(filePath)).length, 3);
+});
+
+for (const [name, retention] of [['applyRetention', applyRetention], ['applyRetentionAsync', applyRetentionAsync]]) {
+    test(`${name} deletes the folders older than maxDays but never the current day`, async () => {
+        const rootDirectory = createDirectory(`${name}-days`);
+        for (const folder of ['20240101', '20240108', '20240109', '20240110', 'other']) {
+            writeFile(path.join(rootDirectory, folder, 'app.log'), 'entry\n');
+        }
+
+        const deletedFolders = await retention(rootDirectory, { maxDays: 2 }, new Date(2024, 0, 10));
+
+        assert.deepEqual(deletedFolders.map(folder => path.basename(folder)), ['20240101', '20240108']);
+        assert.deepEqual(fs.readdirSync(rootDirectory).sort(), ['20240109', '20240110', 'other']);
+    });
+
+    test(`${name} deletes the oldest folders until the total size fits`, async () => {
+        const rootDirectory = createDirectory(`${name}-size`);
+        for (const folder of ['20240107', '20240108', '20240109', '20240110']) {
+            writeFile(path.join(rootDirectory, folder, 'app.log'), 'x'.repeat(100));
+        }
+
+        const deletedFolders = await retention(rootDirectory, { maxTotalSizeBytes: 250 }, new Date(2024, 0, 10));
+
+        assert.deepEqual(deletedFolders.map(folder => path.basename(folder)), ['20240107', '20240108']);
+    });
+}
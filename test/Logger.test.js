@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { Logger, MemoryTransport, FunctionTransport, TraceLog } from "../src/Log/index.js";
+
+test('a transport that throws does not stop the others nor the caller', async () => {
+    const memory = new MemoryTransport();
+    const logger = new Logger('app', {
+        transports: [new FunctionTransport(() => { throw new Error('shipper down'); }), memory]
+    });
+
+    const warning = once(process, 'warning');
+    logger.info('order created');
+    const [reportedWarning] = await warning;
+
+    assert.equal(memory.getRecords().length, 1);
+    assert.match(reportedWarning.message, /shipper down/);
+});
+
+test('the loggers of an attached TraceLog follow the console toggle of the root', () => {
+    const printed = [];
+    const originalLog = console.log;
+    console.log = (line) => printed.push(line);
+
+    try {
+        const logger = new Logger('app', { shouldWriteToFile: false });
+        const trace = new TraceLog();
+        trace.attachLogger(logger);
+
+        trace.addType('Step').add('first');
+        logger.toggleLogConsole(false);
+        trace.addType('Step').add('second');
+    } finally {
+        console.log = originalLog;
+    }
+
+    assert.equal(printed.filter((line) => line.includes('first')).length, 1);
+    assert.equal(printed.filter((line) => line.includes('second')).length, 0);
+});
+
+test('rejects levels that are not own keys of the log levels', () => {
+    const logger = new Logger('app', { transports: [new MemoryTransport()] });
+
+    assert.throws(() => logger.log('a', { level: 'constructor' }), /Invalid log level: constructor/);
+    assert.throws(() => logger.log('a', { level: 'toString' }), /Invalid log level: toString/);
+});
+
+test('asyncFileWriting is rejected where it would be ignored', () => {
+    const root = new Logger('app', { transports: [new MemoryTransport()] });
+
+    assert.throws(() => new Logger('child', { parentLogger: root, asyncFileWriting: true }), /asyncFileWriting only applies/);
+    assert.throws(() => new Logger('app', { transports: [new MemoryTransport()], asyncFileWriting: true }), /asyncFileWriting only applies/);
+    assert.equal(new Logger('app', { asyncFileWriting: true, shouldWriteToFile: false }).getTransports()[1].isAsync(), true);
+});
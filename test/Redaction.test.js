@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Logger, MemoryTransport, Redactor } from "../src/Log/index.js";
+import { safeStringify } from "../src/Log/Serialize.js";
+
+class User {
+    constructor(name, password) {
+        this.name = name;
+        this.password = password;
+    }
+}
+
+test('redacts the properties of class instances', () => {
+    const redactor = new Redactor({ keys: ['password'] });
+
+    const redacted = redactor.redact({ user: new User('a', 'hunter2') });
+
+    assert.equal(safeStringify(redacted), '{"user":{"name":"a","password":"[REDACTED]"}}');
+});
+
+test('redacts the entries of Maps', () => {
+    const redactor = new Redactor({ keys: ['password'], patterns: [/secret-\w+/] });
+
+    const redacted = redactor.redact({ creds: new Map([['password', 'hunter2'], ['note', 'secret-token']]) });
+
+    assert.equal(safeStringify(redacted), '{"creds":{"password":"[REDACTED]","note":"[REDACTED]"}}');
+});
+
+test('redacts the value returned by toJSON of class instances', () => {
+    class Session {
+        constructor(token) {
+            this.token = token;
+        }
+
+        toJSON() {
+            return { token: this.token, kind: 'session' };
+        }
+    }
+
+    const redactor = new Redactor({ keys: ['token'] });
+
+    assert.equal(safeStringify(redactor.redact(new Session('abc'))), '{"token":"[REDACTED]","kind":"session"}');
+});
+
+test('the logger does not write the secrets of class instances and Maps', () => {
+    const memory = new MemoryTransport();
+    const logger = new Logger('redaction', {
+        transports: [memory],
+        redaction: { keys: ['password'] }
+    });
+
+    logger.info(new User('a', 'hunter2'));
+    logger.info('credentials', { metadata: { creds: new Map([['password', 'hunter2']]) } });
+
+    for (const record of memory.getRecords()) {
+        assert.doesNotMatch(record.formatted, /hunter2/);
+        assert.doesNotMatch(safeStringify(record), /hunter2/);
+    }
+});
@@ -0,0 +1,130 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { TraceLog } from "../src/Log/index.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('concurrent runs of the same span are siblings', async () => {
+    const trace = new TraceLog();
+
+    await Promise.all([1, 2].map((index) => trace.span('req', async (spanRun) => {
+        spanRun.add(`handling ${index}`);
+        await sleep(5);
+    })));
+
+    const spanType = trace.addType('req');
+    const spanRuns = spanType.getSpanRuns();
+
+    assert.deepEqual(spanRuns.map((spanRun) => spanRun.getType()), ['req#1', 'req#2']);
+    assert.ok(spanRuns.every((spanRun) => spanRun.getParentType() == spanType && !spanRun.isRunning()));
+    assert.deepEqual(spanRuns.map((spanRun) => spanRun.getMessages()[1].message), ['handling 1', 'handling 2']);
+    assert.equal(spanType.isRunning(), false);
+});
+
+test('spans started inside a span are nested in its log type', async () => {
+    const trace = new TraceLog();
+
+    await trace.span('req', async () => {
+        await Promise.all([trace.span('db', () => sleep(1)), trace.span('db', () => sleep(1))]);
+    });
+
+    const dbType = trace.addType('db');
+    assert.equal(dbType.getParentType(), trace.addType('req'));
+    assert.equal(dbType.getSpanRuns().length, 2);
+});
+
+test('start() returns the run to end and ending the log type needs a single running run', () => {
+    const trace = new TraceLog();
+    const spanType = trace.addType('job');
+
+    const firstRun = spanType.start();
+    const secondRun = spanType.start();
+    assert.throws(() => spanType.end(), /2 runs running/);
+
+    firstRun.end();
+    assert.equal(spanType.end(), secondRun);
+    assert.throws(() => spanType.end(), /not running/);
+});
+
+test('an invalid parent does not start a run', () => {
+    const trace = new TraceLog();
+    const parentType = trace.addType('parent');
+    const childType = trace.addType('child', parentType);
+
+    assert.throws(() => parentType.start(childType), /cannot be the parent/);
+    assert.equal(parentType.getSpanRuns().length, 0);
+});
+
+test('the runs of the spans are kept by fromJSON', async () => {
+    const trace = new TraceLog();
+    await trace.span('req', () => sleep(1));
+
+    const restored = TraceLog.fromJSON(JSON.stringify(trace));
+    const spanType = restored.addType('req');
+
+    assert.deepEqual(spanType.getSpanRuns().map((spanRun) => spanRun.getType()), ['req#1']);
+    assert.equal(spanType.getDuration(), trace.addType('req').getDuration());
+});
+
+test('fromJSON rejects invalid types and messages with a descriptive error', () => {
+    const trace = new TraceLog();
+    trace.addType('Step').add('first');
+    const exported = trace.toJSON();
+
+    const withChange = (change) => {
+        const data = JSON.parse(JSON.stringify(exported));
+        change(data);
+        return data;
+    };
+
+    assert.throws(() => TraceLog.fromJSON({}), /not an exported TraceLog: types is not a list/);
+    assert.throws(() => TraceLog.fromJSON(withChange(data => delete data.types[0].messages)), /types\[0\]\.messages is not a list/);
+    assert.throws(() => TraceLog.fromJSON(withChange(data => delete data.types[0].sequenceId)), /types\[0\]\.sequenceId is not a number/);
+    assert.throws(() => TraceLog.fromJSON(withChange(data => data.types[0].messages[0].date = 'yesterday')), /types\[0\]\.messages\[0\]\.date is not a valid date/);
+    assert.throws(() => TraceLog.fromJSON(withChange(data => delete data.types[0].messages[0].sequence)), /messages\[0\]\.sequence is not a number/);
+    assert.throws(() => TraceLog.fromJSON(withChange(data => data.types[0].parentType = 'Missing')), /parentType Missing is not one of the exported types/);
+
+    assert.equal(TraceLog.fromJSON(JSON.stringify(exported)).addType('Step').getMessages()[0].message, 'first');
+});
+
+test('maxMessages evicts the oldest messages of the whole trace', () => {
+    const evicted = [];
+    const trace = new TraceLog({ maxMessages: 3, onEvict: (records) => evicted.push(...records.map((record) => record.message)) });
+
+    for (let index = 0; index < 6; index++) {
+        trace.addType(index % 2 == 0 ? 'Even' : 'Odd').add(`message ${index}`);
+    }
+
+    assert.deepEqual(trace.query({ isAscending: true }).records.map((record) => record.message), ['message 3', 'message 4', 'message 5']);
+    assert.deepEqual(evicted, ['message 0', 'message 1', 'message 2']);
+    assert.equal(trace.getEvictedCount(), 3);
+    assert.equal(trace.addType('Even').getEvictedCount(), 2);
+});
+
+test('maxMessagesPerType evicts only from the type that received the message', () => {
+    const trace = new TraceLog({ maxMessages: 4, maxMessagesPerType: 2 });
+
+    for (let index = 0; index < 5; index++) trace.addType('Busy').add(`busy ${index}`);
+    trace.addType('Quiet').add('quiet 0');
+    trace.addType('Quiet').add('quiet 1');
+    trace.addType('Busy').add('busy 5');
+
+    assert.deepEqual(trace.addType('Busy').getMessages().map((message) => message.message), ['busy 4', 'busy 5']);
+    assert.deepEqual(trace.addType('Quiet').getMessages().map((message) => message.message), ['quiet 0', 'quiet 1']);
+    assert.equal(trace.getEvictedCount(), 4);
+});
+
+test('the capacity limits of the new trace apply to the messages restored by fromJSON', () => {
+    const trace = new TraceLog();
+    trace.addType('A').add('a 0');
+    trace.addType('B').add('b 0');
+    trace.addType('A').add('a 1');
+    trace.addType('B').add('b 1');
+
+    const restored = TraceLog.fromJSON(JSON.stringify(trace), { maxMessages: 2 });
+
+    assert.deepEqual(restored.query({ isAscending: true }).records.map((record) => record.message), ['a 1', 'b 1']);
+
+    restored.addType('A').add('a 2');
+    assert.deepEqual(restored.query({ isAscending: true }).records.map((record) => record.message), ['b 1', 'a 2']);
+});
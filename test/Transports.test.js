@@ -0,0 +1,121 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execFileSync } from "child_process";
+import { Logger, FileTransport } from "../src/Log/index.js";
+
+const tempDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'transports-test-'));
+after(() => fs.rmSync(tempDirectory, { recursive: true, force: true }));
+
+/**
+ * Returns a logger writing only to the file transport, in a new directory
+ * @param {String} name - Name of the directory and of the logger
+ * @param {import('../src/Log/Transports.js').FileTransportParameters} transportParams
+ */
+function createFileLogger(name, transportParams) {
+    const transport = new FileTransport(transportParams);
+    const logger = new Logger(name, {
+        logDirectoryPath: path.join(tempDirectory, name),
+        fileNameTemplate: '{date}/{name}.log',
+        transports: [transport]
+    });
+
+    return { logger: logger, transport: transport, filePath: logger.getSaveDirectory().complete };
+}
+
+/**
+ * Returns the messages written to the log file, without the date and level
+ * @param {String} filePath
+ */
+function readMessages(filePath) {
+    return fs.readFileSync(filePath, 'utf-8').split('\n').filter(line => line != '').map(line => line.split(' -> ').pop());
+}
+
+test('async mode queues the entries until flush and keeps their order', async () => {
+    const { logger, transport, filePath } = createFileLogger('queue', { async: true, flushIntervalMs: 60000 });
+
+    for (let index = 0; index < 5; index++) logger.info(`entry ${index}`);
+    assert.equal(fs.existsSync(filePath), false);
+
+    await transport.flush();
+    assert.deepEqual(readMessages(filePath), ['entry 0', 'entry 1', 'entry 2', 'entry 3', 'entry 4']);
+
+    logger.info('entry 5');
+    await transport.close();
+    assert.equal(readMessages(filePath).length, 6);
+});
+
+test('async mode keeps the entries of a file that fails and writes them on a later flush', async () => {
+    const errors = [];
+    const { logger, transport, filePath } = createFileLogger('failure', { async: true, flushIntervalMs: 60000, onError: (error) => errors.push(error) });
+
+    // A file in place of the date folder makes the write fail
+    fs.mkdirSync(path.dirname(path.dirname(filePath)), { recursive: true });
+    fs.writeFileSync(path.dirname(filePath), '');
+
+    logger.info('first');
+    await assert.rejects(transport.flush());
+    assert.equal(errors.length, 1);
+
+    fs.rmSync(path.dirname(filePath));
+    logger.info('second');
+    await transport.close();
+
+    assert.deepEqual(readMessages(filePath), ['first', 'second']);
+});
+
+test('async mode writes the queued entries when the process exits', () => {
+    const logDirectory = path.join(tempDirectory, 'exit');
+    const transportsUrl = new URL('../src/Log/index.js', import.meta.url).href;
+    const script = `
+        import { Logger, FileTransport } from ${JSON.stringify(transportsUrl)};
+        const logger = new Logger('exit', { logDirectoryPath: ${JSON.stringify(logDirectory)}, transports: [new FileTransport({ async: true, flushIntervalMs: 60000 })] });
+        logger.info('before exit');
+        process.exit(0);
+    `;
+
+    execFileSync(process.execPath, ['--input-type=module', '-e', script], { timeout: 10000 });
+
+    const logger = new Logger('exit', { logDirectoryPath: logDirectory });
+    assert.deepEqual(readMessages(logger.getSaveDirectory().complete), ['before exit']);
+});
+
+test('async mode rotates the files when they reach the maximum size', async () => {
+    const { logger, transport, filePath } = createFileLogger('rotation', { async: true, flushIntervalMs: 60000, maxFileSizeBytes: 60 });
+
+    for (let index = 0; index < 6; index++) logger.info(`entry ${index}`);
+    await transport.close();
+
+    const rotatedFiles = fs.readdirSync(path.dirname(filePath)).filter(fileName => /^rotation\.\d+\.log$/.test(fileName));
+    // Each line has 29 bytes, so two fit in a file
+    assert.deepEqual(rotatedFiles.sort(), ['rotation.1.log', 'rotation.2.log']);
+    assert.deepEqual(readMessages(path.join(path.dirname(filePath), 'rotation.2.log')), ['entry 0', 'entry 1']);
+    assert.deepEqual(readMessages(filePath), ['entry 4', 'entry 5']);
+});
+
+test('async mode applies the retention with the next batch instead of in the call to log', async () => {
+    const { logger, transport } = createFileLogger('retention', { async: true, flushIntervalMs: 60000, retention: { maxDays: 2 } });
+
+    const oldFolder = path.join(logger.getRootDirectory(), '20000101');
+    fs.mkdirSync(oldFolder, { recursive: true });
+    fs.writeFileSync(path.join(oldFolder, 'retention.log'), 'old\n');
+
+    logger.info('new');
+    assert.equal(fs.existsSync(oldFolder), true);
+
+    await transport.close();
+    assert.equal(fs.existsSync(oldFolder), false);
+});
+
+test('the async transport does not leave process listeners after closing', async () => {
+    const listenersBefore = process.listenerCount('beforeExit');
+    const { logger, transport } = createFileLogger('listeners', { async: true, flushIntervalMs: 60000 });
+
+    logger.info('entry');
+    assert.equal(process.listenerCount('beforeExit'), listenersBefore + 1);
+
+    await transport.close();
+    assert.equal(process.listenerCount('beforeExit'), listenersBefore);
+});